@@ -0,0 +1,19 @@
+/* @flow */
+const {describe, it} = global;
+import expect from 'expect';
+import {BENCHMARK_DOCUMENTS, timeImport} from '../../test/benchmark';
+
+// Importing takes time linear in the size of the input, so each of these
+// takes well under a second; the limit is generous to allow for slow machines.
+const TIME_LIMIT = 5000;
+
+describe('benchmark', function() {
+  this.timeout(4 * TIME_LIMIT);
+
+  Object.keys(BENCHMARK_DOCUMENTS).forEach((name) => {
+    it(`should import the ${name} document in bounded time`, () => {
+      let html = BENCHMARK_DOCUMENTS[name]();
+      expect(timeImport(html)).toBeLessThan(TIME_LIMIT);
+    });
+  });
+});
@@ -0,0 +1,72 @@
+/* @flow */
+const {describe, it} = global;
+import expect from 'expect';
+import fragmentFromElement, {insertFragmentFromElement} from '../fragmentFromElement';
+import parseHTML from '../lib/parseHTML';
+import {ContentState, EditorState, Modifier, SelectionState} from 'draft-js';
+
+describe('fragmentFromElement', () => {
+  it('should return blocks with new keys', () => {
+    let element = parseHTML('<p>a</p><ul><li>b</li></ul>');
+    let first = fragmentFromElement(element);
+    let second = fragmentFromElement(element);
+    expect(first.map((block) => block.getText()).toArray()).toEqual(['a', 'b']);
+    let keys = first.keySeq().concat(second.keySeq()).toSet();
+    expect(keys.size).toBe(4);
+  });
+
+  it('should give each empty fragment its own block', () => {
+    let element = parseHTML('');
+    let first = fragmentFromElement(element);
+    let second = fragmentFromElement(element);
+    expect(first.first().getKey()).toNotBe(second.first().getKey());
+  });
+
+  it('should insert into content with replaceWithFragment', () => {
+    let contentState = ContentState.createFromText('xy');
+    let selection = SelectionState.createEmpty(contentState.getFirstBlock().getKey())
+      .merge({anchorOffset: 1, focusOffset: 1});
+    let fragment = fragmentFromElement(parseHTML('<p><a href="/a">a</a></p><p>b</p>'), {contentState});
+    let newContentState = Modifier.replaceWithFragment(contentState, selection, fragment);
+    let blocks = newContentState.getBlocksAsArray();
+    expect(blocks.map((block) => block.getText())).toEqual(['xa', 'by']);
+    let entity = newContentState.getEntity(blocks[0].getEntityAt(1));
+    expect(entity.getData()).toEqual({url: '/a'});
+  });
+});
+
+describe('insertFragmentFromElement', () => {
+  it('should insert at the selection keeping the inline style', () => {
+    let editorState = EditorState.createWithContent(ContentState.createFromText('xy'));
+    let blockKey = editorState.getCurrentContent().getFirstBlock().getKey();
+    let selection = SelectionState.createEmpty(blockKey).merge({anchorOffset: 1, focusOffset: 1});
+    editorState = EditorState.forceSelection(editorState, selection);
+    editorState = EditorState.setInlineStyleOverride(editorState, editorState.getCurrentInlineStyle().add('BOLD'));
+    let element = parseHTML('<p><i>a</i></p><p>b</p><p>c</p>');
+    let newEditorState = insertFragmentFromElement(editorState, element);
+    let blocks = newEditorState.getCurrentContent().getBlocksAsArray();
+    expect(blocks.map((block) => block.getText())).toEqual(['xa', 'b', 'cy']);
+    let stylesAt = (block, offset) => block.getInlineStyleAt(offset).toArray().sort();
+    expect(stylesAt(blocks[0], 1)).toEqual(['BOLD', 'ITALIC']);
+    expect(stylesAt(blocks[1], 0)).toEqual([]);
+    expect(stylesAt(blocks[2], 0)).toEqual(['BOLD']);
+    expect(stylesAt(blocks[2], 1)).toEqual([]);
+    expect(newEditorState.getSelection().getAnchorOffset()).toBe(1);
+  });
+
+  it('should not use keys from attributes that are in the content already', () => {
+    let contentState = ContentState.createFromText('x\ny');
+    let [firstKey, secondKey] = contentState.getBlocksAsArray().map((block) => block.getKey());
+    let element = parseHTML(
+      `<p data-key="${firstKey}">a</p><p data-key="new-key">b</p><p data-key="${secondKey}">c</p>`
+    );
+    let fragment = fragmentFromElement(element, {blockKeyAttribute: 'data-key', contentState});
+    let keys = fragment.keySeq().toArray();
+    expect(keys[1]).toBe('new-key');
+    expect(keys.filter((key) => contentState.getBlockMap().has(key))).toEqual([]);
+    let editorState = EditorState.moveSelectionToEnd(EditorState.createWithContent(contentState));
+    let newEditorState = insertFragmentFromElement(editorState, element, {blockKeyAttribute: 'data-key'});
+    let newKeys = newEditorState.getCurrentContent().getBlockMap().keySeq().toArray();
+    expect(newKeys.filter((key, i) => newKeys.indexOf(key) === i).length).toBe(4);
+  });
+});
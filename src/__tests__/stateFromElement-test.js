@@ -1,7 +1,7 @@
 /* @flow */
 const {describe, it} = global;
 import expect from 'expect';
-import stateFromElement from '../stateFromElement';
+import stateFromElement, {stateFromElementWithReport} from '../stateFromElement';
 import {
   TextNode,
   ElementNode,
@@ -73,6 +73,631 @@ describe('stateFromElement', () => {
       {entityMap: {}, blocks: [{text: 'text', type: 'unstyled', depth: 0, inlineStyleRanges: [{offset: 0, length: 4, style: 'RED'}, {offset: 0, length: 4, style: 'BLUEBG'}], entityRanges: []}]}
     );
   });
+
+  it('supports custom inline styles and entities', () => {
+    let highlight = new ElementNode('span', [['class', 'highlight']], [new TextNode('a')]);
+    let abbr = new ElementNode('abbr', [['title', 'Bee']], [new TextNode('b')]);
+    let mention = new ElementNode('span', [['class', 'highlight'], ['data-mention-id', '42']], [new TextNode('c')]);
+    let wrapperElement = new ElementNode('div', [], [highlight, abbr, mention]);
+    let options = {
+      customInlineFn(element, {Style, Entity}) {
+        let results = [];
+        if (element.getAttribute('class') === 'highlight') {
+          results.push(Style('HIGHLIGHT'));
+        }
+        if (element.nodeName === 'abbr') {
+          results.push(Entity('ABBR', {title: element.getAttribute('title')}, 'IMMUTABLE'));
+        }
+        if (element.getAttribute('data-mention-id')) {
+          results.push(Entity('MENTION', {id: element.getAttribute('data-mention-id')}));
+        }
+        return results;
+      },
+    };
+    let contentState = stateFromElement(wrapperElement, options);
+    let rawContentState = removeBlockKeys(convertToRaw(contentState));
+    expect(rawContentState).toEqual({
+      entityMap: {
+        0: {type: 'ABBR', mutability: 'IMMUTABLE', data: {title: 'Bee'}},
+        1: {type: 'MENTION', mutability: 'MUTABLE', data: {id: '42'}},
+      },
+      blocks: [{
+        text: 'abc',
+        type: 'unstyled',
+        depth: 0,
+        inlineStyleRanges: [
+          {offset: 0, length: 1, style: 'HIGHLIGHT'},
+          {offset: 2, length: 1, style: 'HIGHLIGHT'},
+        ],
+        entityRanges: [
+          {offset: 1, length: 1, key: 0},
+          {offset: 2, length: 1, key: 1},
+        ],
+      }],
+    });
+  });
+
+  it('creates entities through the content state', () => {
+    let first = stateFromElement(parseHTML('<p><a href="/a">a</a></p>'));
+    let firstKey = first.getFirstBlock().getEntityAt(0);
+    expect(first.getLastCreatedEntityKey()).toBe(firstKey);
+    let second = stateFromElement(parseHTML('<p><img src="b.jpg"></p>'));
+    let secondKey = second.getFirstBlock().getEntityAt(0);
+    expect(second.getLastCreatedEntityKey()).toBe(secondKey);
+    expect(secondKey).toNotBe(firstKey);
+    let firstEntity = first.getEntity(firstKey);
+    expect(firstEntity.getType()).toBe('LINK');
+    expect(second.getEntity(secondKey).getType()).toBe('IMAGE');
+    if (first.getEntityMap() === second.getEntityMap()) {
+      // Versions of Draft whose `createEntity` still writes to the global
+      // store share one entity map between imports; the keys don't collide.
+      expect(second.getEntity(firstKey)).toBe(firstEntity);
+    }
+    expect(convertToRaw(first).entityMap).toEqual({
+      0: {type: 'LINK', mutability: 'MUTABLE', data: {url: '/a'}},
+    });
+    expect(convertToRaw(second).entityMap).toEqual({
+      0: {type: 'IMAGE', mutability: 'MUTABLE', data: {src: 'b.jpg'}},
+    });
+  });
+
+  it('falls back to the default inline handling', () => {
+    let link = new ElementNode('a', [['href', '/']], [new TextNode('a')]);
+    let bold = new ElementNode('b', [], [link]);
+    let wrapperElement = new ElementNode('div', [], [bold]);
+    let options = {
+      customInlineFn: () => null,
+    };
+    let contentState = stateFromElement(wrapperElement, options);
+    let rawContentState = removeBlockKeys(convertToRaw(contentState));
+    expect(rawContentState).toEqual({
+      entityMap: {0: {type: 'LINK', mutability: 'MUTABLE', data: {url: '/'}}},
+      blocks: [{text: 'a', type: 'unstyled', depth: 0, inlineStyleRanges: [{offset: 0, length: 1, style: 'BOLD'}], entityRanges: [{offset: 0, length: 1, key: 0}]}],
+    });
+  });
+
+  it('supports custom entity converters', () => {
+    let image = new ElementNode('img', [['src', 'a.jpg'], ['width', '10'], ['height', '20']]);
+    let abbr = new ElementNode('abbr', [['title', 'Bee'], ['lang', 'en']], [new TextNode('b')]);
+    let link = new ElementNode('a', [['href', '/']], [new TextNode('a')]);
+    let wrapperElement = new ElementNode('div', [], [image, abbr, link]);
+    let options = {
+      entityConverters: {
+        img: {attributes: {src: 'src', alt: 'alt', width: 'width', height: 'height'}},
+        abbr: {
+          type: 'ABBR',
+          mutability: 'IMMUTABLE',
+          attributes: {title: 'title'},
+          required: ['title'],
+          getData: (element, data) => ({...data, lang: element.getAttribute('lang')}),
+        },
+        a: false,
+      },
+    };
+    let contentState = stateFromElement(wrapperElement, options);
+    let rawContentState = removeBlockKeys(convertToRaw(contentState));
+    expect(rawContentState).toEqual({
+      entityMap: {
+        0: {type: 'IMAGE', mutability: 'MUTABLE', data: {src: 'a.jpg', width: '10', height: '20'}},
+        1: {type: 'ABBR', mutability: 'IMMUTABLE', data: {title: 'Bee', lang: 'en'}},
+      },
+      blocks: [{
+        text: '~ba',
+        type: 'unstyled',
+        depth: 0,
+        inlineStyleRanges: [],
+        entityRanges: [
+          {offset: 0, length: 1, key: 0},
+          {offset: 1, length: 1, key: 1},
+        ],
+      }],
+    });
+  });
+
+  it('imports media elements as atomic blocks', () => {
+    let element = parseHTML(
+      '<p>Watch <iframe width="560" height="315" src="https://www.youtube.com/embed/x"></iframe> this</p>' +
+      '<video controls poster="p.jpg"><source src="m.mp4" type="video/mp4">Fallback</video>' +
+      '<audio src="a.mp3" loop></audio><embed src="//example.com/x.swf"><video>No source</video>'
+    );
+    let contentState = stateFromElement(element);
+    let rawContentState = removeBlockKeys(convertToRaw(contentState));
+    let atomicBlock = (key) => ({text: ' ', type: 'atomic', depth: 0, inlineStyleRanges: [], entityRanges: [{offset: 0, length: 1, key}]});
+    expect(rawContentState).toEqual({
+      entityMap: {
+        0: {type: 'EMBED', mutability: 'IMMUTABLE', data: {src: 'https://www.youtube.com/embed/x', width: '560', height: '315', provider: 'youtube'}},
+        1: {type: 'VIDEO', mutability: 'IMMUTABLE', data: {src: 'm.mp4', type: 'video/mp4', poster: 'p.jpg', controls: true}},
+        2: {type: 'AUDIO', mutability: 'IMMUTABLE', data: {src: 'a.mp3', loop: true}},
+        3: {type: 'EMBED', mutability: 'IMMUTABLE', data: {src: '//example.com/x.swf'}},
+      },
+      blocks: [
+        {text: 'Watch', type: 'unstyled', depth: 0, inlineStyleRanges: [], entityRanges: []},
+        atomicBlock(0),
+        {text: 'this', type: 'unstyled', depth: 0, inlineStyleRanges: [], entityRanges: []},
+        atomicBlock(1),
+        atomicBlock(2),
+        atomicBlock(3),
+      ],
+    });
+  });
+
+  it('imports figures as atomic image blocks with captions', () => {
+    let element = parseHTML(
+      '<figure><a href="/big.jpg"><img src="a.jpg" alt="A"></a>' +
+      '<figcaption>A <b>bold</b> caption<br>line two</figcaption></figure>' +
+      '<figure><img src="b.jpg"></figure><figure><blockquote>Quote</blockquote></figure>'
+    );
+    let contentState = stateFromElement(element);
+    let rawContentState = removeBlockKeys(convertToRaw(contentState));
+    let atomicBlock = (key) => ({text: ' ', type: 'atomic', depth: 0, inlineStyleRanges: [], entityRanges: [{offset: 0, length: 1, key}]});
+    expect(rawContentState).toEqual({
+      entityMap: {
+        0: {type: 'IMAGE', mutability: 'MUTABLE', data: {
+          src: 'a.jpg',
+          alt: 'A',
+          caption: 'A bold caption\nline two',
+          captionStyleRanges: [{offset: 2, length: 4, style: 'BOLD'}],
+        }},
+        1: {type: 'IMAGE', mutability: 'MUTABLE', data: {src: 'b.jpg'}},
+      },
+      blocks: [
+        atomicBlock(0),
+        atomicBlock(1),
+        {text: 'Quote', type: 'blockquote', depth: 0, inlineStyleRanges: [], entityRanges: []},
+      ],
+    });
+  });
+
+  it('imports figures with more than an image and caption as blocks', () => {
+    let element = parseHTML(
+      '<figure><img src="a.jpg"><p>Extra paragraph</p><img src="b.jpg"><figcaption>Cap</figcaption></figure>' +
+      '<figure><img src="c.jpg"><figcaption>Icon <img src="d.jpg"></figcaption></figure>'
+    );
+    let contentState = stateFromElement(element);
+    let blocks = contentState.getBlocksAsArray().map((block) => {
+      let entityKey = block.getEntityAt(0);
+      let text = (block.getType() === 'atomic') ? contentState.getEntity(entityKey).getData().src : block.getText();
+      return [block.getType(), text];
+    });
+    expect(blocks).toEqual([
+      ['atomic', 'a.jpg'],
+      ['unstyled', 'Extra paragraph'],
+      ['atomic', 'b.jpg'],
+      ['unstyled', 'Cap'],
+      ['atomic', 'c.jpg'],
+      ['unstyled', 'Icon ~'],
+    ]);
+  });
+
+  it('supports importing standalone images as atomic blocks', () => {
+    let element = parseHTML('<p><img src="a.jpg"></p><p>Text <img src="b.jpg"></p>');
+    let getTypes = (options) => stateFromElement(element, options)
+      .getBlocksAsArray().map((block) => block.getType());
+    expect(getTypes()).toEqual(['unstyled', 'unstyled']);
+    expect(getTypes({atomicImages: true})).toEqual(['atomic', 'unstyled']);
+  });
+
+  it('only embeds content from allowed hosts', () => {
+    let element = parseHTML(
+      '<iframe src="https://player.vimeo.com/video/1"></iframe><iframe src="https://example.com/"></iframe>' +
+      '<iframe src="/relative"></iframe><iframe src="https://notvimeo.com/"></iframe>'
+    );
+    let contentState = stateFromElement(element, {embedHosts: ['vimeo.com']});
+    let blocks = contentState.getBlocksAsArray();
+    expect(blocks.length).toBe(1);
+    let entity = contentState.getEntity(blocks[0].getEntityAt(0));
+    expect(entity.getData()).toEqual({src: 'https://player.vimeo.com/video/1', provider: 'vimeo'});
+  });
+
+  it('supports custom css style rules', () => {
+    let element = parseHTML(
+      '<p><span style="font-weight: 500; font-variant: small-caps">a</span>' +
+      '<span style="text-decoration: underline">b</span></p>'
+    );
+    let options = {
+      cssStyleRules: {
+        'font-weight': (value) => (Number(value) >= 500 ? 'BOLD' : null),
+        'font-variant': (value) => (value === 'small-caps' ? ['SMALL_CAPS'] : null),
+        'text-decoration': false,
+      },
+    };
+    let contentState = stateFromElement(element, options);
+    let rawContentState = removeBlockKeys(convertToRaw(contentState));
+    expect(rawContentState).toEqual(
+      {entityMap: {}, blocks: [{text: 'ab', type: 'unstyled', depth: 0, inlineStyleRanges: [{offset: 0, length: 1, style: 'BOLD'}, {offset: 0, length: 1, style: 'SMALL_CAPS'}], entityRanges: []}]}
+    );
+  });
+
+  it('supports css style rules that remove styles', () => {
+    let element = parseHTML(
+      '<p><span class="x" style="color: gray">a<span style="color: black">b</span></span></p>'
+    );
+    let options = {
+      cssStyleRules: {
+        color: (value) => (value === 'gray' ? 'MUTED' : {remove: 'MUTED', add: ['DARK']}),
+      },
+    };
+    let contentState = stateFromElement(element, options);
+    let rawContentState = removeBlockKeys(convertToRaw(contentState));
+    expect(rawContentState).toEqual(
+      {entityMap: {}, blocks: [{text: 'ab', type: 'unstyled', depth: 0, inlineStyleRanges: [{offset: 0, length: 1, style: 'MUTED'}, {offset: 1, length: 1, style: 'DARK'}], entityRanges: []}]}
+    );
+  });
+
+  it('supports dynamic styles from css values', () => {
+    let element = parseHTML(
+      '<p><span style="color: red; background: rgb(0, 0, 255)">a<span style="color: #00F">b</span></span>' +
+      '<font color="#ff0000" size="+1" face="\'Times New Roman\', serif">c</font>' +
+      '<span style="font-family: Times New Roman,serif; font-size: 14PX; color: inherit">d</span></p>'
+    );
+    let prefixes = {
+      color: 'COLOR-',
+      'background-color': 'BGCOLOR-',
+      'font-size': 'FONTSIZE-',
+      'font-family': 'FONT-',
+    };
+    let options = {
+      dynamicStyleFn: (property, value) => prefixes[property] + value,
+    };
+    let contentState = stateFromElement(element, options);
+    let block = contentState.getFirstBlock();
+    let stylesAt = (offset) => block.getInlineStyleAt(offset).toArray().sort();
+    expect(block.getText()).toBe('abcd');
+    expect(stylesAt(0)).toEqual(['BGCOLOR-#0000ff', 'COLOR-#ff0000']);
+    expect(stylesAt(1)).toEqual(['BGCOLOR-#0000ff', 'COLOR-#0000ff']);
+    expect(stylesAt(2)).toEqual(['COLOR-#ff0000', 'FONT-Times New Roman, serif', 'FONTSIZE-18px']);
+    expect(stylesAt(3)).toEqual(['FONT-Times New Roman, serif', 'FONTSIZE-14px']);
+  });
+
+  it('supports turning off block formatting', () => {
+    let element = parseHTML('<div dir="rtl" lang="ar"><p style="text-align: center">a</p></div>');
+    let getData = (options) => stateFromElement(element, options).getFirstBlock().getData().toJS();
+    expect(getData({blockFormatting: false})).toEqual({});
+    expect(getData({blockFormatting: {lang: false}})).toEqual({dir: 'rtl', textAlign: 'center'});
+  });
+
+  it('supports a custom checklist block type', () => {
+    let element = parseHTML('<ul><li><input type="checkbox" checked> a</li></ul>');
+    let getBlock = (options) => stateFromElement(element, options).getFirstBlock();
+    let block = getBlock({checklistBlockType: 'todo'});
+    expect(block.getType()).toBe('todo');
+    expect(block.getData().toJS()).toEqual({checked: true});
+    block = getBlock({checklistBlockType: false});
+    expect(block.getType()).toBe('unordered-list-item');
+    expect(block.getData().toJS()).toEqual({});
+  });
+
+  it('reports what could not be imported', () => {
+    let element = parseHTML(
+      '<p><a name="top">a</a> <span style="color: red; font-weight: bold">b</span></p>' +
+      '<hr><ul><li><a href="/c" class="link">c</a></li></ul>'
+    );
+    let warnings = [];
+    let report = stateFromElementWithReport(element, {
+      dividerEntityType: false,
+      onWarning: (warning) => warnings.push(warning),
+    });
+    expect(report.contentState.getPlainText()).toBe('a b\nc');
+    expect(report.warnings).toEqual([
+      {type: 'attribute', path: 'body > p > a', tagName: 'a', name: 'name', value: 'top', reason: 'Attribute is not kept in the entity data'},
+      {type: 'entity', path: 'body > p > a', tagName: 'a', reason: 'Missing required entity data "url"'},
+      {type: 'style', path: 'body > p > span', tagName: 'span', name: 'color', value: 'red', reason: 'No inline style for this declaration'},
+      {type: 'element', path: 'body > hr', tagName: 'hr', reason: 'Element is not supported'},
+      {type: 'attribute', path: 'body > ul > li > a', tagName: 'a', name: 'class', value: 'link', reason: 'Attribute is not kept in the entity data'},
+    ]);
+    expect(report.summary).toEqual({element: 1, attribute: 2, style: 1, entity: 1, url: 0, total: 5});
+    expect(warnings).toEqual(report.warnings);
+  });
+
+  it('drops unsafe URLs, event handlers and scripts', () => {
+    let element = parseHTML(
+      '<p><a href="java&#9;script:alert(1)" onclick="alert(2)">a</a> <a href="/b">b</a> ' +
+      '<img src="data:image/gif;base64,R0lGOD"><img src="data:text/html,x">' +
+      '<script>alert(3)</script><style>p {}</style><noscript>c</noscript></p>' +
+      '<video src="v.mp4" poster="vbscript:x"></video>'
+    );
+    let report = stateFromElementWithReport(element);
+    let {contentState} = report;
+    expect(contentState.getPlainText()).toBe('a b ~~\n ');
+    expect(convertToRaw(contentState).entityMap).toEqual({
+      0: {type: 'LINK', mutability: 'MUTABLE', data: {url: '/b'}},
+      1: {type: 'IMAGE', mutability: 'MUTABLE', data: {src: 'data:image/gif;base64,R0lGOD'}},
+      2: {type: 'VIDEO', mutability: 'IMMUTABLE', data: {src: 'v.mp4'}},
+    });
+    let dropped = report.warnings
+      .filter((warning) => warning.type !== 'entity')
+      .map(({tagName, name, reason}) => [tagName, name, reason]);
+    expect(dropped).toEqual([
+      ['a', 'onclick', 'Event handler attributes are never kept'],
+      ['a', 'url', 'URL scheme is not allowed'],
+      ['img', 'src', 'URL scheme is not allowed'],
+      ['script', undefined, 'Content is discarded'],
+      ['style', undefined, 'Content is discarded'],
+      ['noscript', undefined, 'Content is discarded'],
+      ['video', 'poster', 'URL scheme is not allowed'],
+    ]);
+  });
+
+  it('supports custom allowed url schemes', () => {
+    let element = parseHTML('<p><a href="https://a.com/">a</a><a href="tg://b">b</a></p>');
+    let contentState = stateFromElement(element, {allowedUrlSchemes: ['tg']});
+    expect(convertToRaw(contentState).entityMap).toEqual({
+      0: {type: 'LINK', mutability: 'MUTABLE', data: {url: 'tg://b'}},
+    });
+  });
+
+  it('resolves urls against the base url', () => {
+    let element = parseHTML(
+      '<p><a href="../about">a</a><img src="img/b.jpg"><a href="//other.com/c">c</a>' +
+      '<a href="mailto:d@example.com">d</a></p>'
+    );
+    let contentState = stateFromElement(element, {baseUrl: 'https://site.com/blog/post'});
+    let data = Object.values(convertToRaw(contentState).entityMap).map((entity) => entity.data);
+    expect(data).toEqual([
+      {url: 'https://site.com/about'},
+      {src: 'https://site.com/blog/img/b.jpg'},
+      {url: 'https://other.com/c'},
+      {url: 'mailto:d@example.com'},
+    ]);
+  });
+
+  it('resolves urls against a base element', () => {
+    let element = parseHTML('<base href="https://cdn.com/x/"><p><img src="a.jpg"></p>');
+    let contentState = stateFromElement(element);
+    let entity = contentState.getEntity(contentState.getFirstBlock().getEntityAt(0));
+    expect(entity.getData()).toEqual({src: 'https://cdn.com/x/a.jpg'});
+  });
+
+  it('supports transforming urls', () => {
+    let element = parseHTML('<p><img src="/img/a.jpg"><a href="/drop">b</a></p>');
+    let calls = [];
+    let contentState = stateFromElement(element, {
+      baseUrl: 'https://site.com/',
+      urlTransform: (url, context) => {
+        calls.push([url, context]);
+        return (url.indexOf('/img/') !== -1) ? url.replace('site.com', 'cdn.site.com') : null;
+      },
+    });
+    expect(calls).toEqual([
+      ['https://site.com/img/a.jpg', {tagName: 'img', attribute: 'src'}],
+      ['https://site.com/drop', {tagName: 'a', attribute: 'href'}],
+    ]);
+    expect(convertToRaw(contentState).entityMap).toEqual({
+      0: {type: 'IMAGE', mutability: 'MUTABLE', data: {src: 'https://cdn.site.com/img/a.jpg'}},
+    });
+  });
+
+  it('supports white-space classes and a global white-space mode', () => {
+    let element = parseHTML('<p class="code">  a   b</p><pre>  c   d</pre>');
+    let getTexts = (options) => stateFromElement(element, options)
+      .getBlocksAsArray().map((block) => block.getText());
+    expect(getTexts()).toEqual(['a b', '  c   d']);
+    expect(getTexts({whiteSpaceClasses: {code: 'pre'}})).toEqual(['  a   b', '  c   d']);
+    expect(getTexts({whiteSpace: 'normal'})).toEqual(['a b', 'c d']);
+    expect(getTexts({whiteSpace: 'pre', whiteSpaceClasses: {code: 'normal'}})).toEqual(['  a   b', '  c   d']);
+  });
+
+  it('imports code block languages and flattens highlighted code', () => {
+    let element = parseHTML(
+      '<pre><code class="hljs language-js"><span class="token keyword" style="font-weight: bold">const</span> ' +
+      '<b>a</b> = <a href="/one">1</a>;</code></pre><pre data-lang="python">x</pre><pre class="lang-go">y</pre>'
+    );
+    let contentState = stateFromElement(element);
+    let blocks = contentState.getBlocksAsArray();
+    expect(blocks.map((block) => block.getData().toJS())).toEqual([
+      {language: 'js'},
+      {language: 'python'},
+      {language: 'go'},
+    ]);
+    expect(blocks[0].getText()).toBe('const a = 1;');
+    expect(blocks[0].getCharacterList().every((char) => char.getStyle().isEmpty())).toBe(true);
+    expect(contentState.getEntity(blocks[0].getEntityAt(10)).getData()).toEqual({url: '/one'});
+    let styledBlock = stateFromElement(element, {codeBlockInlineStyles: true}).getFirstBlock();
+    expect(styledBlock.getInlineStyleAt(0).toArray().sort()).toEqual(['BOLD', 'CODE']);
+  });
+
+  it('supports one code block per line', () => {
+    let element = parseHTML('<pre><code class="language-js"><b>if</b> (<a href="/x">x</a>) {\n  y();\n\n}\n</code></pre>');
+    let contentState = stateFromElement(element, {codeBlockMode: 'perLine', codeBlockInlineStyles: true});
+    let blocks = contentState.getBlocksAsArray();
+    expect(blocks.map((block) => block.getText())).toEqual(['if (x) {', '  y();', '', '}']);
+    blocks.forEach((block) => {
+      expect(block.getType()).toBe('code-block');
+      expect(block.getData().toJS()).toEqual({language: 'js'});
+    });
+    expect(blocks[0].getInlineStyleAt(0).has('BOLD')).toBe(true);
+    expect(blocks[0].getInlineStyleAt(3).has('BOLD')).toBe(false);
+    expect(contentState.getEntity(blocks[0].getEntityAt(4)).getData()).toEqual({url: '/x'});
+    expect(blocks[1].getEntityAt(2)).toBe(null);
+  });
+
+  it('supports copying block element attributes into block data', () => {
+    let element = parseHTML(
+      '<h1 id="intro" data-block-id="a" title="Intro" class="x">a</h1>' +
+      '<p data-block-id="b">b</p><p data-block-id="b">c</p>'
+    );
+    let getData = (options) => stateFromElement(element, options)
+      .getBlocksAsArray().map((block) => block.getData().toJS());
+    expect(getData()).toEqual([{}, {}, {}]);
+    expect(getData({blockAttributes: true})).toEqual([
+      {id: 'intro', 'data-block-id': 'a'},
+      {'data-block-id': 'b'},
+      {'data-block-id': 'b'},
+    ]);
+    expect(getData({blockAttributes: ['title']})[0]).toEqual({id: 'intro', 'data-block-id': 'a', title: 'Intro'});
+  });
+
+  it('supports using an attribute as the block key when it is unique', () => {
+    let element = parseHTML(
+      '<div data-block-id="a">a<p data-block-id="b">b</p>c</div>' +
+      '<p data-block-id="d">d</p><p data-block-id="d">e</p>'
+    );
+    let blocks = stateFromElement(element, {blockKeyAttribute: 'data-block-id'}).getBlocksAsArray();
+    expect(blocks.map((block) => block.getText())).toEqual(['a', 'b', 'c', 'd', 'e']);
+    expect(blocks[0].getKey()).toBe('a');
+    expect(blocks[1].getKey()).toBe('b');
+    // The rest of the div and the blocks with the same value get new keys.
+    let keys = blocks.map((block) => block.getKey());
+    expect(keys.slice(2).filter((key) => key === 'a' || key === 'd')).toEqual([]);
+    expect(keys.filter((key, i) => keys.indexOf(key) === i).length).toBe(5);
+    // Like the key, the data from attributes only goes on the first block.
+    let dataBlocks = stateFromElement(element, {blockAttributes: true}).getBlocksAsArray();
+    expect(dataBlocks.map((block) => block.getData().toJS())).toEqual([
+      {'data-block-id': 'a'},
+      {'data-block-id': 'b'},
+      {},
+      {'data-block-id': 'd'},
+      {'data-block-id': 'd'},
+    ]);
+    let heading = parseHTML('<h2 id="x">Title<div>sub</div>more</h2>');
+    let headingBlocks = stateFromElement(heading, {blockAttributes: true}).getBlocksAsArray();
+    expect(headingBlocks.map((block) => [block.getType(), block.getData().toJS()])).toEqual([
+      ['header-two', {id: 'x'}],
+      ['unstyled', {}],
+      ['header-two', {}],
+    ]);
+  });
+
+  it('imports horizontal rules and page breaks as atomic blocks', () => {
+    let element = parseHTML(
+      '<p>a</p><hr><p style="page-break-before: always">b</p>' +
+      '<p>c<br clear="all" style="page-break-before: always">d</p><div style="break-after: page">e</div>' +
+      '<p>x<br style="page-break-after: always">y</p>'
+    );
+    let getBlocks = (options) => {
+      let contentState = stateFromElement(element, options);
+      return contentState.getBlocksAsArray().map((block) => {
+        let entityKey = block.getEntityAt(0);
+        let entityType = (block.getType() === 'atomic' || block.getType() === 'divider') ?
+          contentState.getEntity(entityKey).getType() :
+          null;
+        return [block.getType(), entityType || block.getText()];
+      });
+    };
+    expect(getBlocks()).toEqual([
+      ['unstyled', 'a'],
+      ['atomic', 'DIVIDER'],
+      ['unstyled', 'b'],
+      ['unstyled', 'c\nd'],
+      ['unstyled', 'e'],
+      ['unstyled', 'x\ny'],
+    ]);
+    expect(getBlocks({pageBreaks: true, dividerBlockType: 'divider', dividerEntityType: 'HR'})).toEqual([
+      ['unstyled', 'a'],
+      ['divider', 'HR'],
+      ['divider', 'PAGE_BREAK'],
+      ['unstyled', 'b'],
+      ['unstyled', 'c'],
+      ['divider', 'PAGE_BREAK'],
+      ['unstyled', 'd'],
+      ['unstyled', 'e'],
+      ['divider', 'PAGE_BREAK'],
+      ['unstyled', 'x'],
+      ['divider', 'PAGE_BREAK'],
+      ['unstyled', 'y'],
+    ]);
+    expect(getBlocks({dividerEntityType: false}).length).toBe(5);
+  });
+
+  it('imports definition lists with a list id', () => {
+    let element = parseHTML(
+      '<dl><dt>Term</dt><dd>Description<ul><li>One<ul><li>Two</li></ul></li></ul></dd>' +
+      '<dd><p>More</p></dd></dl><dl><dt>Other</dt></dl>'
+    );
+    let blocks = stateFromElement(element).getBlocksAsArray();
+    expect(blocks.map((block) => [block.getType(), block.getDepth(), block.getText()])).toEqual([
+      ['definition-term', 0, 'Term'],
+      ['definition-description', 0, 'Description'],
+      ['unordered-list-item', 1, 'One'],
+      ['unordered-list-item', 2, 'Two'],
+      ['definition-description', 0, 'More'],
+      ['definition-term', 0, 'Other'],
+    ]);
+    let listIds = blocks.map((block) => block.getData().get('listId'));
+    expect(listIds[0]).toExist();
+    expect(listIds[1]).toBe(listIds[0]);
+    expect(listIds[4]).toBe(listIds[0]);
+    expect(listIds[5]).toExist();
+    expect(listIds[5]).toNotBe(listIds[0]);
+    let types = (options) => stateFromElement(element, options).getBlocksAsArray().map((block) => block.getType());
+    expect(types({definitionListBlockTypes: {term: 'term'}}).slice(0, 2)).toEqual(['term', 'definition-description']);
+    expect(types({definitionListBlockTypes: false}).slice(0, 2)).toEqual(['unstyled', 'unstyled']);
+  });
+
+  it('supports custom block types by tag name or selector', () => {
+    let element = parseHTML(
+      '<aside>Tip</aside><section class="note">Note</section><section>Plain</section>' +
+      '<ul><li>Item<aside>Inside</aside><ol class="steps"><li>Step</li></ol><ol><li>One</li></ol></li></ul>'
+    );
+    let getBlocks = (options) => stateFromElement(element, options).getBlocksAsArray().map(
+      (block) => [block.getType(), block.getDepth(), block.getText()]
+    );
+    expect(getBlocks({
+      blockTypes: {aside: 'callout', 'section.note': 'note', 'ol.steps > li': 'step'},
+      blockDepth: {callout: 'inherit', step: 'nest'},
+    })).toEqual([
+      ['callout', 0, 'Tip'],
+      ['note', 0, 'Note'],
+      ['unstyled', 0, 'Plain'],
+      ['unordered-list-item', 0, 'Item'],
+      ['callout', 1, 'Inside'],
+      ['step', 1, 'Step'],
+      ['ordered-list-item', 1, 'One'],
+    ]);
+    let types = getBlocks({blockTypes: {'ol > li': false, li: 'item'}}).map(([type]) => type);
+    expect(types.slice(3)).toEqual(['item', 'unstyled', 'item', 'item']);
+  });
+
+  describe('tables', () => {
+    let html = '<table><thead><tr><th colspan="2">H</th></tr></thead>' +
+      '<tr><td rowspan="2">a</td><td><p>b</p></td></tr><tr><td>c</td></tr></table>';
+
+    it('imports cells as blocks with their position', () => {
+      let contentState = stateFromElement(parseHTML(html), {tableMode: 'cells'});
+      let blocks = contentState.getBlocksAsArray();
+      let tableId = blocks[0].getData().get('tableId');
+      expect(tableId).toExist();
+      expect(blocks.map((block) => [block.getType(), block.getText()])).toEqual([
+        ['table-cell', 'H'],
+        ['table-cell', 'a'],
+        ['table-cell', 'b'],
+        ['table-cell', 'c'],
+      ]);
+      expect(blocks.map((block) => block.getData().toJS())).toEqual([
+        {tableId, row: 0, column: 0, header: true, colSpan: 2, rowSpan: 1},
+        {tableId, row: 1, column: 0, header: false, colSpan: 1, rowSpan: 2},
+        {tableId, row: 1, column: 1, header: false, colSpan: 1, rowSpan: 1},
+        {tableId, row: 2, column: 1, header: false, colSpan: 1, rowSpan: 1},
+      ]);
+    });
+
+    it('gives each table its own id', () => {
+      let contentState = stateFromElement(
+        parseHTML('<table><tr><td>a</td></tr></table><table><tr><td>b</td></tr></table>'),
+        {tableMode: 'cells'},
+      );
+      let [first, second] = contentState.getBlocksAsArray();
+      expect(first.getData().get('tableId')).toNotEqual(second.getData().get('tableId'));
+    });
+
+    it('imports a table as an atomic block', () => {
+      let contentState = stateFromElement(parseHTML(html), {tableMode: 'atomic'});
+      let rawContentState = removeBlockKeys(convertToRaw(contentState));
+      expect(rawContentState).toEqual({
+        entityMap: {
+          0: {type: 'TABLE', mutability: 'IMMUTABLE', data: {rows: [
+            [{text: 'H', column: 0, header: true, colSpan: 2, rowSpan: 1}],
+            [
+              {text: 'a', column: 0, header: false, colSpan: 1, rowSpan: 2},
+              {text: 'b', column: 1, header: false, colSpan: 1, rowSpan: 1},
+            ],
+            [{text: 'c', column: 1, header: false, colSpan: 1, rowSpan: 1}],
+          ]}},
+        },
+        blocks: [{text: ' ', type: 'atomic', depth: 0, inlineStyleRanges: [], entityRanges: [{offset: 0, length: 1, key: 0}]}],
+      });
+    });
+  });
 });
 
 describe('stateFromHTML', () => {
@@ -97,7 +722,12 @@ function parseHTML(html: string): Element {
 function removeBlockKeys(content: Object): Object {
   let newContent = {...content};
   newContent.blocks = content.blocks.map((block) => {
-    let {key, ...other} = block; // eslint-disable-line no-unused-vars
+    let {key, data, ...other} = block; // eslint-disable-line no-unused-vars
+    // Versions of Draft with block data include it even when empty; the
+    // fixtures only list it when there is something in it.
+    if (data != null && Object.keys(data).length) {
+      other.data = data;
+    }
     return other;
   });
   return newContent;
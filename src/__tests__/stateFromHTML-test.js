@@ -0,0 +1,80 @@
+/* @flow */
+const {describe, it} = global;
+import expect from 'expect';
+import stateFromHTML from '../stateFromHTML';
+import stateFromElement from '../stateFromElement';
+import {convertToRaw} from 'draft-js';
+import {jsdom} from 'jsdom';
+import fs from 'fs';
+import {join} from 'path';
+
+let document = jsdom('<!doctype html><html><body></body></html>');
+
+// This separates the test cases in `data/test-cases.txt`.
+const SEP = '\n\n#';
+
+let testCasesRaw = fs.readFileSync(
+  join(__dirname, '..', '..', 'test', 'test-cases.txt'),
+  'utf8',
+);
+
+let testCases = testCasesRaw.slice(1).trim().split(SEP).map((text) => {
+  let lines = text.split('\n');
+  let description = lines.shift().trim();
+  let state = removeBlockKeys(JSON.parse(lines[0]));
+  let html = lines.slice(1).join('\n');
+  return {description, state, html};
+});
+
+describe('stateFromHTML', () => {
+  testCases.forEach((testCase) => {
+    let {description, state, html} = testCase;
+    it(`should render ${description}`, () => {
+      let actualState = removeBlockKeys(convertToRaw(stateFromHTML(html)));
+      expect(actualState).toEqual(state);
+    });
+  });
+
+  it('should match the result of parsing with a DOM', () => {
+    let html = [
+      '<!doctype html><html><head><title>Title</title></head><body>',
+      '<h1>Heading<h2>Subheading</h2>',
+      '<pre>\n  code\n</pre>',
+      '<table><tr><td>a<td>b<tr><th>c</table>',
+      '<p>x &mdash; <a href="/?a=1&amp;b=2" title="&quot;hi&quot;">y</a>',
+      '<p>&amp x &copy y &nbspz <a href="/?a=1&copy=2&amp;b=3" title="&copy 2">&#128; &#x96; &#129;</a>',
+      '</body></html>',
+    ].join('\n');
+    document.documentElement.innerHTML = html;
+    let expected = removeBlockKeys(convertToRaw(stateFromElement(document.body)));
+    let actual = removeBlockKeys(convertToRaw(stateFromHTML(html)));
+    expect(actual).toEqual(expected);
+  });
+
+  it('should pass options through', () => {
+    let contentState = stateFromHTML('<p><sup>2</sup></p>', {
+      elementStyles: {sup: 'SUPERSCRIPT'},
+    });
+    let block = contentState.getFirstBlock();
+    expect(block.getInlineStyleAt(0).toJS()).toEqual(['SUPERSCRIPT']);
+  });
+
+  it('should resolve urls against a base element in the head', () => {
+    let html = '<head><base href="/blog/"></head><p><a href="post">a</a></p>';
+    let contentState = stateFromHTML(html, {baseUrl: 'https://example.com/index.html'});
+    let entity = contentState.getEntity(contentState.getFirstBlock().getEntityAt(0));
+    expect(entity.getData()).toEqual({url: 'https://example.com/blog/post'});
+  });
+});
+
+function removeBlockKeys(content: Object): Object {
+  let newContent = {...content};
+  newContent.blocks = content.blocks.map((block) => {
+    let {key, data, ...other} = block; // eslint-disable-line no-unused-vars
+    if (data != null && Object.keys(data).length) {
+      other.data = data;
+    }
+    return other;
+  });
+  return newContent;
+}
@@ -0,0 +1,69 @@
+/* @flow */
+
+import {
+  BlockMapBuilder,
+  CharacterMetadata,
+  EditorState,
+  Modifier,
+} from 'draft-js';
+import {importBlocks} from './stateFromElement';
+
+import type {ContentBlock} from 'draft-js';
+import type {OrderedMap, Set} from 'immutable';
+import type {DOMElement, Options} from './stateFromElement';
+
+type BlockMap = OrderedMap<string, ContentBlock>;
+
+/**
+ * Import an element as a fragment: a BlockMap to insert into an existing
+ * ContentState with `Modifier.replaceWithFragment`. The blocks have new keys,
+ * and entities are created in `options.contentState`, which should be the
+ * content the fragment is inserted into.
+ */
+export default function fragmentFromElement(element: DOMElement, options?: Options): BlockMap {
+  let {blocks} = importBlocks(element, options);
+  return BlockMapBuilder.createFromArray(blocks);
+}
+
+/**
+ * Import an element and insert it at the selection of an editor, replacing
+ * any selected content. The text that joins the blocks at either end of the
+ * selection gets the inline style at the selection, as if it were typed.
+ */
+export function insertFragmentFromElement(
+  editorState: EditorState,
+  element: DOMElement,
+  options?: Options,
+): EditorState {
+  let {blocks, contentState} = importBlocks(element, {
+    ...options,
+    contentState: editorState.getCurrentContent(),
+  });
+  let inlineStyle = editorState.getCurrentInlineStyle();
+  if (inlineStyle.size) {
+    let lastIndex = blocks.length - 1;
+    blocks = blocks.map((block, i) => (
+      (i === 0 || i === lastIndex) ? addInlineStyle(block, inlineStyle) : block
+    ));
+  }
+  let newContentState = Modifier.replaceWithFragment(
+    contentState,
+    editorState.getSelection(),
+    BlockMapBuilder.createFromArray(blocks),
+  );
+  return EditorState.push(editorState, newContentState, 'insert-fragment');
+}
+
+function addInlineStyle(block: ContentBlock, inlineStyle: Set<string>): ContentBlock {
+  // Atomic blocks are inserted as blocks of their own, not joined to text.
+  if (block.getType() === 'atomic') {
+    return block;
+  }
+  let characterList = block.getCharacterList().map((charMetadata) => (
+    inlineStyle.reduce(
+      (result, style) => CharacterMetadata.applyStyle(result, style),
+      charMetadata,
+    )
+  ));
+  return block.set('characterList', characterList);
+}
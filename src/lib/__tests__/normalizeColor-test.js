@@ -0,0 +1,35 @@
+/* @flow */
+const {describe, it} = global;
+import expect from 'expect';
+import normalizeColor from '../normalizeColor';
+
+describe('normalizeColor', () => {
+  it('should normalize equal colors to the same string', () => {
+    let colors = ['red', 'RED', '#f00', '#FF0000', '#ff0000ff', 'rgb(255, 0, 0)', 'rgb(100%,0%,0%)', 'rgba(255, 0, 0, 1)', 'rgb(255 0 0)', 'hsl(0, 100%, 50%)'];
+    colors.forEach((color) => {
+      expect(normalizeColor(color)).toBe('#ff0000');
+    });
+  });
+
+  it('should keep transparency', () => {
+    expect(normalizeColor('rgba(0, 128, 255, 0.5)')).toBe('rgba(0, 128, 255, 0.5)');
+    expect(normalizeColor('rgb(0 128 255 / 50%)')).toBe('rgba(0, 128, 255, 0.5)');
+    expect(normalizeColor('#0080ff80')).toBe('rgba(0, 128, 255, 0.502)');
+    expect(normalizeColor('transparent')).toBe('rgba(0, 0, 0, 0)');
+  });
+
+  it('should convert hsl', () => {
+    expect(normalizeColor('hsl(120, 100%, 25%)')).toBe('#008000');
+    expect(normalizeColor('hsla(240, 100%, 50%, 0.25)')).toBe('rgba(0, 0, 255, 0.25)');
+  });
+
+  it('should clamp out of range values', () => {
+    expect(normalizeColor('rgb(300, -10, 0)')).toBe('#ff0000');
+  });
+
+  it('should return null for things that are not colors', () => {
+    ['inherit', 'currentColor', '#ff', 'rgb(1, 2)', 'rgb(a, b, c)', 'url(x)', ''].forEach((value) => {
+      expect(normalizeColor(value)).toBe(null);
+    });
+  });
+});
@@ -0,0 +1,129 @@
+/* @flow */
+const {describe, it} = global;
+import expect from 'expect';
+import parseHTML, {decodeEntities, parseDocument} from '../parseHTML';
+
+describe('parseHTML', () => {
+  it('should wrap content in a body element', () => {
+    expect(parseHTML('<p>a</p>b').toString()).toBe('<body><p>a</p>b</body>');
+  });
+
+  it('should lower-case tag and attribute names', () => {
+    let body = parseHTML('<A HREF="/">a</A>');
+    expect(body.toString()).toBe('<body><a href="/">a</a></body>');
+  });
+
+  it('should parse quoted, unquoted and empty attributes', () => {
+    let input = parseHTML('<input type=checkbox checked title=\'a "b"\' value="x>y">').childNodes[0];
+    expect(input.getAttribute('type')).toBe('checkbox');
+    expect(input.getAttribute('checked')).toBe('');
+    expect(input.getAttribute('title')).toBe('a "b"');
+    expect(input.getAttribute('value')).toBe('x>y');
+  });
+
+  it('should decode entities in text and attributes', () => {
+    let body = parseHTML('<a title="a&amp;b">&lt;&#65;&#x42;&gt;</a>');
+    let link = body.childNodes[0];
+    expect(link.getAttribute('title')).toBe('a&b');
+    expect(link.childNodes[0].nodeValue).toBe('<AB>');
+  });
+
+  it('should handle void elements', () => {
+    let body = parseHTML('<p>a<br>b<img src="x"></img>c<hr/>d');
+    expect(body.toString()).toBe('<body><p>a<br>b<img src="x">c</p><hr>d</body>');
+  });
+
+  it('should implicitly close paragraphs', () => {
+    let body = parseHTML('<p>a<p>b<div>c</div><p>d<ul><li>e</li></ul>');
+    expect(body.toString()).toBe(
+      '<body><p>a</p><p>b</p><div>c</div><p>d</p><ul><li>e</li></ul></body>'
+    );
+  });
+
+  it('should implicitly close list items', () => {
+    let body = parseHTML('<ul><li>a<li>b<ol><li>c<li>d</ol><li>e</ul>');
+    expect(body.toString()).toBe(
+      '<body><ul><li>a</li><li>b<ol><li>c</li><li>d</li></ol></li><li>e</li></ul></body>'
+    );
+  });
+
+  it('should reopen formatting elements closed by misnested tags', () => {
+    expect(parseHTML('<b>a<p>b</b>c</p>').toString()).toBe('<body><b>a</b><p><b>b</b>c</p></body>');
+    expect(parseHTML('<p><i>x</p>y').toString()).toBe('<body><p><i>x</i></p><i>y</i></body>');
+    expect(parseHTML('<b>a<i>b</b>c</i>').toString()).toBe('<body><b>a<i>b</i></b><i>c</i></body>');
+  });
+
+  it('should insert implied table elements', () => {
+    let body = parseHTML('<table><tr><td>a<td>b<tr><th>c</table>');
+    expect(body.toString()).toBe(
+      '<body><table><tbody><tr><td>a</td><td>b</td></tr><tr><th>c</th></tr></tbody></table></body>'
+    );
+  });
+
+  it('should discard comments, doctype and head', () => {
+    let body = parseHTML('<!DOCTYPE html><html><head><title>x</title></head><body>a<!-- b -->c</body></html>');
+    expect(body.toString()).toBe('<body>ac</body>');
+  });
+
+  it('should return the head with parseDocument', () => {
+    let {head, body} = parseDocument('<html><head><base href="/a/"><title>x</title></head><body>b</body></html>');
+    expect(head.toString()).toBe('<head><base href="/a/"><title>x</title></head>');
+    expect(body.toString()).toBe('<body>b</body>');
+    expect(parseDocument('b').head.toString()).toBe('<head></head>');
+  });
+
+  it('should end an unclosed head at the first body content', () => {
+    let {head, body} = parseDocument('<head><meta charset="utf-8"><p>hi</p>');
+    expect(head.toString()).toBe('<head><meta charset="utf-8"></head>');
+    expect(body.toString()).toBe('<body><p>hi</p></body>');
+    expect(parseDocument('<head><title>x</title> hello').body.toString()).toBe('<body>hello</body>');
+  });
+
+  it('should not parse markup inside raw text elements', () => {
+    let body = parseHTML('<script>if (a<b) "</p>";</script><textarea>&lt;p&gt;</textarea>');
+    expect(body.childNodes[0].childNodes[0].nodeValue).toBe('if (a<b) "</p>";');
+    expect(body.childNodes[1].childNodes[0].nodeValue).toBe('<p>');
+  });
+
+  it('should drop the first newline in pre', () => {
+    let body = parseHTML('<pre>\n\na</pre>');
+    expect(body.childNodes[0].childNodes[0].nodeValue).toBe('\na');
+  });
+
+  it('should ignore unmatched end tags', () => {
+    expect(parseHTML('a</b>b</div>').toString()).toBe('<body>ab</body>');
+  });
+
+  it('should only start quoted values after an equals sign', () => {
+    let body = parseHTML('<a href=it\'s>link</a> after <b>bold</b>');
+    expect(body.toString()).toBe('<body><a href="it&#39;s">link</a> after <b>bold</b></body>');
+    expect(body.childNodes[0].getAttribute('href')).toBe("it's");
+  });
+
+  it('should treat a stray </br> as a line break', () => {
+    expect(parseHTML('x</br>y').toString()).toBe('<body>x<br>y</body>');
+  });
+
+  it('should normalize line endings', () => {
+    expect(parseHTML('a\r\nb\rc').childNodes[0].nodeValue).toBe('a\nb\nc');
+  });
+});
+
+describe('decodeEntities', () => {
+  it('should leave unknown references alone', () => {
+    expect(decodeEntities('&foo; & &bar')).toBe('&foo; & &bar');
+  });
+
+  it('should decode legacy references without a semicolon', () => {
+    expect(decodeEntities('&amp x &copy y &nbspz')).toBe('& x © y \u00A0z');
+    expect(decodeEntities('?a=1&copy=2&ampb&amp', true)).toBe('?a=1&copy=2&ampb&');
+  });
+
+  it('should map C1 references to Windows-1252 characters', () => {
+    expect(decodeEntities('&#128;&#x96;&#129;')).toBe('€–\u0081');
+  });
+
+  it('should replace invalid code points', () => {
+    expect(decodeEntities('&#0;&#xD800;')).toBe('��');
+  });
+});
@@ -0,0 +1,51 @@
+/* @flow */
+const {describe, it} = global;
+import expect from 'expect';
+import {ElementNode} from 'synthetic-dom';
+import parseSelector, {matchesSelector} from '../parseSelector';
+
+function element(tagName, attributes = {}) {
+  let attrs = Object.keys(attributes).map((name) => [name, attributes[name]]);
+  return new ElementNode(tagName, attrs, []);
+}
+
+describe('parseSelector', () => {
+  let section = element('section', {class: 'note wide', id: 'intro'});
+  let list = element('ol', {'data-kind': 'steps'});
+  let item = element('li', {class: 'step'});
+
+  it('should match compound selectors', () => {
+    let matches = (selector, elements) => matchesSelector(parseSelector(selector), elements);
+    expect(matches('section', [section])).toBe(true);
+    expect(matches('section.note', [section])).toBe(true);
+    expect(matches('.note.wide#intro', [section])).toBe(true);
+    expect(matches('*.wide', [section])).toBe(true);
+    expect(matches('section.other', [section])).toBe(false);
+    expect(matches('ol[data-kind]', [list])).toBe(true);
+    expect(matches('ol[data-kind="steps"]', [list])).toBe(true);
+    expect(matches('ol[data-kind=other]', [list])).toBe(false);
+    expect(matches('aside', [section])).toBe(false);
+  });
+
+  it('should match combinators against ancestors', () => {
+    let matches = (selector, elements) => matchesSelector(parseSelector(selector), elements);
+    expect(matches('ol > li', [section, list, item])).toBe(true);
+    expect(matches('section > li', [section, list, item])).toBe(false);
+    expect(matches('section li.step', [section, list, item])).toBe(true);
+    expect(matches('section>ol>li', [section, list, item])).toBe(true);
+    expect(matches('ol li', [section, item])).toBe(false);
+  });
+
+  it('should order selectors by specificity', () => {
+    let specificity = (selector) => parseSelector(selector).specificity;
+    expect(specificity('ol > li')).toBeGreaterThan(specificity('li'));
+    expect(specificity('li.step')).toBeGreaterThan(specificity('ol > li'));
+    expect(specificity('#intro')).toBeGreaterThan(specificity('section.note.wide'));
+  });
+
+  it('should throw for unsupported selectors', () => {
+    expect(() => parseSelector('a + b')).toThrow(/Unsupported selector/);
+    expect(() => parseSelector('ol >')).toThrow(/Unsupported selector/);
+    expect(() => parseSelector('')).toThrow(/Unsupported selector/);
+  });
+});
@@ -0,0 +1,37 @@
+/* @flow */
+const {describe, it} = global;
+import expect from 'expect';
+import parseStyleAttribute from '../parseStyleAttribute';
+
+describe('parseStyleAttribute', () => {
+  it('should handle empty source', () => {
+    expect(parseStyleAttribute('')).toEqual([]);
+    expect(parseStyleAttribute(' ; ')).toEqual([]);
+  });
+
+  it('should split declarations', () => {
+    expect(parseStyleAttribute('color: red;Font-Weight:700 ; ')).toEqual([
+      ['color', 'red'],
+      ['font-weight', '700'],
+    ]);
+  });
+
+  it('should remove !important', () => {
+    expect(parseStyleAttribute('color: red !important')).toEqual([
+      ['color', 'red'],
+    ]);
+  });
+
+  it('should ignore semicolons in quotes and parentheses', () => {
+    expect(parseStyleAttribute('font-family: "a;b"; background: url(data:image/png;base64,x)')).toEqual([
+      ['font-family', '"a;b"'],
+      ['background', 'url(data:image/png;base64,x)'],
+    ]);
+  });
+
+  it('should skip invalid declarations', () => {
+    expect(parseStyleAttribute('color; :red; width: ;height:1px')).toEqual([
+      ['height', '1px'],
+    ]);
+  });
+});
@@ -0,0 +1,56 @@
+/* @flow */
+const {describe, it} = global;
+import expect from 'expect';
+import resolveUrl from '../resolveUrl';
+
+describe('resolveUrl', () => {
+  it('should resolve the examples from RFC 3986', () => {
+    let base = 'http://a/b/c/d;p?q';
+    let examples = {
+      'g:h': 'g:h',
+      g: 'http://a/b/c/g',
+      './g': 'http://a/b/c/g',
+      'g/': 'http://a/b/c/g/',
+      '/g': 'http://a/g',
+      '//g': 'http://g',
+      '?y': 'http://a/b/c/d;p?y',
+      'g?y': 'http://a/b/c/g?y',
+      '#s': 'http://a/b/c/d;p?q#s',
+      'g#s': 'http://a/b/c/g#s',
+      ';x': 'http://a/b/c/;x',
+      '': 'http://a/b/c/d;p?q',
+      '.': 'http://a/b/c/',
+      './': 'http://a/b/c/',
+      '..': 'http://a/b/',
+      '../': 'http://a/b/',
+      '../g': 'http://a/b/g',
+      '../..': 'http://a/',
+      '../../g': 'http://a/g',
+      '../../../g': 'http://a/g',
+      '/./g': 'http://a/g',
+      '/../g': 'http://a/g',
+      'g.': 'http://a/b/c/g.',
+      '..g': 'http://a/b/c/..g',
+      './g/.': 'http://a/b/c/g/',
+      'g/../h': 'http://a/b/c/h',
+    };
+    Object.keys(examples).forEach((url) => {
+      expect(resolveUrl(base, url)).toBe(examples[url]);
+    });
+  });
+
+  it('should resolve against a host with no path', () => {
+    expect(resolveUrl('https://example.com', 'a.jpg')).toBe('https://example.com/a.jpg');
+    expect(resolveUrl('https://example.com', '../a.jpg')).toBe('https://example.com/a.jpg');
+  });
+
+  it('should leave urls with a scheme alone', () => {
+    expect(resolveUrl('https://example.com/', 'mailto:a@example.com')).toBe('mailto:a@example.com');
+    expect(resolveUrl('https://example.com/', 'data:image/png;base64,./..')).toBe('data:image/png;base64,./..');
+  });
+
+  it('should resolve against a relative base', () => {
+    expect(resolveUrl('/blog/post', '../img/a.jpg')).toBe('/img/a.jpg');
+    expect(resolveUrl('', 'a.jpg')).toBe('a.jpg');
+  });
+});
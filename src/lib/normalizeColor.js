@@ -0,0 +1,179 @@
+/* @flow */
+
+const NAMED_COLORS = {
+  aliceblue: 'f0f8ff', antiquewhite: 'faebd7', aqua: '00ffff',
+  aquamarine: '7fffd4', azure: 'f0ffff', beige: 'f5f5dc', bisque: 'ffe4c4',
+  black: '000000', blanchedalmond: 'ffebcd', blue: '0000ff',
+  blueviolet: '8a2be2', brown: 'a52a2a', burlywood: 'deb887',
+  cadetblue: '5f9ea0', chartreuse: '7fff00', chocolate: 'd2691e',
+  coral: 'ff7f50', cornflowerblue: '6495ed', cornsilk: 'fff8dc',
+  crimson: 'dc143c', cyan: '00ffff', darkblue: '00008b', darkcyan: '008b8b',
+  darkgoldenrod: 'b8860b', darkgray: 'a9a9a9', darkgreen: '006400',
+  darkgrey: 'a9a9a9', darkkhaki: 'bdb76b', darkmagenta: '8b008b',
+  darkolivegreen: '556b2f', darkorange: 'ff8c00', darkorchid: '9932cc',
+  darkred: '8b0000', darksalmon: 'e9967a', darkseagreen: '8fbc8f',
+  darkslateblue: '483d8b', darkslategray: '2f4f4f', darkslategrey: '2f4f4f',
+  darkturquoise: '00ced1', darkviolet: '9400d3', deeppink: 'ff1493',
+  deepskyblue: '00bfff', dimgray: '696969', dimgrey: '696969',
+  dodgerblue: '1e90ff', firebrick: 'b22222', floralwhite: 'fffaf0',
+  forestgreen: '228b22', fuchsia: 'ff00ff', gainsboro: 'dcdcdc',
+  ghostwhite: 'f8f8ff', gold: 'ffd700', goldenrod: 'daa520', gray: '808080',
+  green: '008000', greenyellow: 'adff2f', grey: '808080', honeydew: 'f0fff0',
+  hotpink: 'ff69b4', indianred: 'cd5c5c', indigo: '4b0082', ivory: 'fffff0',
+  khaki: 'f0e68c', lavender: 'e6e6fa', lavenderblush: 'fff0f5',
+  lawngreen: '7cfc00', lemonchiffon: 'fffacd', lightblue: 'add8e6',
+  lightcoral: 'f08080', lightcyan: 'e0ffff', lightgoldenrodyellow: 'fafad2',
+  lightgray: 'd3d3d3', lightgreen: '90ee90', lightgrey: 'd3d3d3',
+  lightpink: 'ffb6c1', lightsalmon: 'ffa07a', lightseagreen: '20b2aa',
+  lightskyblue: '87cefa', lightslategray: '778899', lightslategrey: '778899',
+  lightsteelblue: 'b0c4de', lightyellow: 'ffffe0', lime: '00ff00',
+  limegreen: '32cd32', linen: 'faf0e6', magenta: 'ff00ff', maroon: '800000',
+  mediumaquamarine: '66cdaa', mediumblue: '0000cd', mediumorchid: 'ba55d3',
+  mediumpurple: '9370db', mediumseagreen: '3cb371', mediumslateblue: '7b68ee',
+  mediumspringgreen: '00fa9a', mediumturquoise: '48d1cc',
+  mediumvioletred: 'c71585', midnightblue: '191970', mintcream: 'f5fffa',
+  mistyrose: 'ffe4e1', moccasin: 'ffe4b5', navajowhite: 'ffdead',
+  navy: '000080', oldlace: 'fdf5e6', olive: '808000', olivedrab: '6b8e23',
+  orange: 'ffa500', orangered: 'ff4500', orchid: 'da70d6',
+  palegoldenrod: 'eee8aa', palegreen: '98fb98', paleturquoise: 'afeeee',
+  palevioletred: 'db7093', papayawhip: 'ffefd5', peachpuff: 'ffdab9',
+  peru: 'cd853f', pink: 'ffc0cb', plum: 'dda0dd', powderblue: 'b0e0e6',
+  purple: '800080', rebeccapurple: '663399', red: 'ff0000',
+  rosybrown: 'bc8f8f', royalblue: '4169e1', saddlebrown: '8b4513',
+  salmon: 'fa8072', sandybrown: 'f4a460', seagreen: '2e8b57',
+  seashell: 'fff5ee', sienna: 'a0522d', silver: 'c0c0c0', skyblue: '87ceeb',
+  slateblue: '6a5acd', slategray: '708090', slategrey: '708090',
+  snow: 'fffafa', springgreen: '00ff7f', steelblue: '4682b4', tan: 'd2b48c',
+  teal: '008080', thistle: 'd8bfd8', tomato: 'ff6347', turquoise: '40e0d0',
+  violet: 'ee82ee', wheat: 'f5deb3', white: 'ffffff', whitesmoke: 'f5f5f5',
+  yellow: 'ffff00', yellowgreen: '9acd32',
+};
+
+const HEX_COLOR = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/;
+const FUNCTIONAL_COLOR = /^(rgba?|hsla?)\(([^)]*)\)$/;
+
+type RGBA = [number, number, number, number];
+
+/**
+ * Normalize a CSS color (hex, `rgb()`/`rgba()`, `hsl()`/`hsla()` or a named
+ * color) so that equal colors give equal strings: `#rrggbb` for opaque colors
+ * and `rgba(r, g, b, a)` otherwise. Returns null for anything that isn't a
+ * color we understand, such as `inherit` or `currentColor`.
+ */
+export default function normalizeColor(value: string): ?string {
+  let rgba = parseColor(value.trim().toLowerCase());
+  if (rgba == null) {
+    return null;
+  }
+  let [r, g, b, a] = rgba;
+  if (a < 1) {
+    return `rgba(${r}, ${g}, ${b}, ${a})`;
+  }
+  return '#' + [r, g, b].map(toHex).join('');
+}
+
+function parseColor(color: string): ?RGBA {
+  if (NAMED_COLORS.hasOwnProperty(color)) {
+    return parseHex(NAMED_COLORS[color]);
+  }
+  if (color === 'transparent') {
+    return [0, 0, 0, 0];
+  }
+  if (HEX_COLOR.test(color)) {
+    let hex = color.slice(1);
+    if (hex.length <= 4) {
+      hex = hex.split('').map((char) => char + char).join('');
+    }
+    return parseHex(hex);
+  }
+  let match = FUNCTIONAL_COLOR.exec(color);
+  if (match) {
+    // Both the legacy comma syntax and the space/slash syntax are allowed.
+    let args = match[2].trim().split(/\s*[,\/]\s*|\s+/);
+    if (args.length !== 3 && args.length !== 4) {
+      return null;
+    }
+    let alpha = (args.length === 4) ? parseAlpha(args[3]) : 1;
+    let rgb = match[1].startsWith('rgb') ?
+      args.slice(0, 3).map(parseChannel) :
+      hslToRgb(parseFloat(args[0]), parsePercent(args[1]), parsePercent(args[2]));
+    if (alpha == null || rgb.some((channel) => channel == null)) {
+      return null;
+    }
+    return [...rgb, alpha];
+  }
+  return null;
+}
+
+function parseHex(hex: string): RGBA {
+  let alpha = (hex.length === 8) ? parseInt(hex.slice(6, 8), 16) / 255 : 1;
+  return [
+    parseInt(hex.slice(0, 2), 16),
+    parseInt(hex.slice(2, 4), 16),
+    parseInt(hex.slice(4, 6), 16),
+    roundAlpha(alpha),
+  ];
+}
+
+function parseChannel(value: string): ?number {
+  let number = parseFloat(value);
+  if (isNaN(number)) {
+    return null;
+  }
+  if (value.endsWith('%')) {
+    number = number * 255 / 100;
+  }
+  return clamp(Math.round(number), 0, 255);
+}
+
+function parsePercent(value: string): ?number {
+  let number = parseFloat(value);
+  return isNaN(number) ? null : clamp(number, 0, 100) / 100;
+}
+
+function parseAlpha(value: string): ?number {
+  let number = parseFloat(value);
+  if (isNaN(number)) {
+    return null;
+  }
+  if (value.endsWith('%')) {
+    number = number / 100;
+  }
+  return roundAlpha(clamp(number, 0, 1));
+}
+
+function hslToRgb(hue: number, saturation: ?number, lightness: ?number): Array<?number> {
+  if (isNaN(hue) || saturation == null || lightness == null) {
+    return [null, null, null];
+  }
+  hue = (((hue % 360) + 360) % 360) / 360;
+  let q = (lightness < 0.5) ?
+    lightness * (1 + saturation) :
+    lightness + saturation - lightness * saturation;
+  let p = 2 * lightness - q;
+  return [hue + 1 / 3, hue, hue - 1 / 3].map((t) => {
+    if (t < 0) {
+      t += 1;
+    }
+    if (t > 1) {
+      t -= 1;
+    }
+    let channel = (t < 1 / 6) ? p + (q - p) * 6 * t :
+      (t < 1 / 2) ? q :
+      (t < 2 / 3) ? p + (q - p) * (2 / 3 - t) * 6 :
+      p;
+    return Math.round(channel * 255);
+  });
+}
+
+function roundAlpha(alpha: number): number {
+  return Math.round(alpha * 1000) / 1000;
+}
+
+function clamp(value: number, min: number, max: number): number {
+  return Math.min(Math.max(value, min), max);
+}
+
+function toHex(channel: number): string {
+  return (channel < 16 ? '0' : '') + channel.toString(16);
+}
@@ -0,0 +1,587 @@
+/* @flow */
+
+import {ElementNode, TextNode, NODE_TYPE_TEXT} from 'synthetic-dom';
+import {NAMED_ENTITIES, LEGACY_ENTITY_NAMES} from './namedEntities';
+
+import type {Node as SyntheticNode} from 'synthetic-dom';
+
+type Attributes = Array<[string, string]>;
+
+// Elements that never have content or a closing tag.
+const VOID_ELEMENTS = {
+  area: 1, base: 1, basefont: 1, bgsound: 1, br: 1, col: 1, embed: 1,
+  frame: 1, hr: 1, img: 1, input: 1, keygen: 1, link: 1, meta: 1, param: 1,
+  source: 1, track: 1, wbr: 1,
+};
+
+// Elements whose content is not parsed as markup. The value indicates whether
+// character references are decoded (RCDATA) or left as-is (raw text).
+const RAW_TEXT_ELEMENTS = {
+  script: false, style: false, xmp: false, iframe: false, noembed: false,
+  noframes: false, textarea: true, title: true,
+};
+
+// A single newline immediately after the start tag of these is dropped.
+const LEADING_NEWLINE_ELEMENTS = {pre: 1, listing: 1, textarea: 1};
+
+// Opening any of these implicitly closes an open `<p>`.
+const CLOSES_PARAGRAPH = {
+  address: 1, article: 1, aside: 1, blockquote: 1, center: 1, details: 1,
+  dialog: 1, dir: 1, div: 1, dl: 1, dd: 1, dt: 1, fieldset: 1, figcaption: 1,
+  figure: 1, footer: 1, form: 1, h1: 1, h2: 1, h3: 1, h4: 1, h5: 1, h6: 1,
+  header: 1, hgroup: 1, hr: 1, li: 1, listing: 1, main: 1, menu: 1, nav: 1,
+  ol: 1, p: 1, pre: 1, section: 1, summary: 1, table: 1, ul: 1, xmp: 1,
+};
+
+// Elements that can be in `<head>`; any other content ends it.
+const HEAD_ELEMENTS = {
+  base: 1, basefont: 1, bgsound: 1, link: 1, meta: 1, noframes: 1,
+  noscript: 1, script: 1, style: 1, template: 1, title: 1,
+};
+
+// Inline formatting elements, which browsers keep applying to content after
+// a misnested end tag (such as `<b>a<p>b</b>c</p>`) cuts them short.
+const FORMATTING_ELEMENTS = {
+  a: 1, b: 1, big: 1, code: 1, em: 1, font: 1, i: 1, nobr: 1, s: 1, small: 1,
+  strike: 1, strong: 1, tt: 1, u: 1,
+};
+
+// Formatting from outside these does not carry on inside them.
+const FORMATTING_BOUNDARIES = {applet: 1, caption: 1, marquee: 1, object: 1, td: 1, th: 1};
+
+const TABLE_ELEMENTS = {
+  caption: 1, col: 1, colgroup: 1, table: 1, tbody: 1, td: 1, tfoot: 1,
+  th: 1, thead: 1, tr: 1,
+};
+
+const HEADINGS = {h1: 1, h2: 1, h3: 1, h4: 1, h5: 1, h6: 1};
+
+// Searching the open elements for something to implicitly close stops at these.
+const SCOPE_BOUNDARIES = {
+  applet: 1, body: 1, button: 1, caption: 1, html: 1, marquee: 1, object: 1,
+  table: 1, td: 1, template: 1, th: 1,
+};
+
+const LIST_ITEM_BOUNDARIES = {...SCOPE_BOUNDARIES, ol: 1, ul: 1};
+const DEFINITION_BOUNDARIES = {...SCOPE_BOUNDARIES, dl: 1};
+const TABLE_SECTIONS = {tbody: 1, thead: 1, tfoot: 1};
+const TABLE_CELLS = {td: 1, th: 1};
+
+// Elements that a misnested formatting element is moved out of.
+const BLOCK_ELEMENTS = {
+  ...CLOSES_PARAGRAPH, ...SCOPE_BOUNDARIES, ...TABLE_ELEMENTS,
+  iframe: 1, img: 1, select: 1, textarea: 1,
+};
+
+// References that browsers decode even without the closing semicolon.
+const LEGACY_ENTITIES = {};
+LEGACY_ENTITY_NAMES.forEach((name) => {
+  LEGACY_ENTITIES[name] = true;
+});
+const LONGEST_LEGACY_ENTITY = 6;
+
+// Numeric references to the C1 control range are taken to mean the
+// Windows-1252 characters at those positions.
+const WINDOWS_1252 = {
+  0x80: 0x20AC, 0x82: 0x201A, 0x83: 0x0192, 0x84: 0x201E, 0x85: 0x2026,
+  0x86: 0x2020, 0x87: 0x2021, 0x88: 0x02C6, 0x89: 0x2030, 0x8A: 0x0160,
+  0x8B: 0x2039, 0x8C: 0x0152, 0x8E: 0x017D, 0x91: 0x2018, 0x92: 0x2019,
+  0x93: 0x201C, 0x94: 0x201D, 0x95: 0x2022, 0x96: 0x2013, 0x97: 0x2014,
+  0x98: 0x02DC, 0x99: 0x2122, 0x9A: 0x0161, 0x9B: 0x203A, 0x9C: 0x0153,
+  0x9E: 0x017E, 0x9F: 0x0178,
+};
+
+const CHARACTER_REFERENCE = /&(?:#[xX]([0-9a-fA-F]+);?|#([0-9]+);?|([a-zA-Z][a-zA-Z0-9]*);?)/g;
+const TAG_NAME = /^[a-zA-Z][^\s\/>]*/;
+const ATTRIBUTE = /^([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/;
+
+// Decode a named reference, where `nextChar` is the character after it. As in
+// browsers, a reference without a semicolon is decoded if it starts with a
+// legacy reference, except in attribute values when followed by `=` or an
+// alphanumeric character (as in the query string of a URL).
+function decodeNamedReference(match: string, name: string, nextChar: string, isAttribute: boolean): string {
+  if (match.charAt(match.length - 1) === ';' && NAMED_ENTITIES.hasOwnProperty(name)) {
+    return NAMED_ENTITIES[name];
+  }
+  let rest = match.slice(name.length + 1);
+  for (let length = Math.min(name.length, LONGEST_LEGACY_ENTITY); length > 1; length--) {
+    let prefix = name.slice(0, length);
+    if (LEGACY_ENTITIES.hasOwnProperty(prefix)) {
+      let remainder = name.slice(length) + rest;
+      let next = remainder ? remainder.charAt(0) : nextChar;
+      if (isAttribute && /[=a-zA-Z0-9]/.test(next)) {
+        return match;
+      }
+      return NAMED_ENTITIES[prefix] + remainder;
+    }
+  }
+  return match;
+}
+
+export function decodeEntities(text: string, isAttribute?: boolean = false): string {
+  return text.replace(CHARACTER_REFERENCE, (match, hex, decimal, name, offset) => {
+    if (name != null) {
+      let nextChar = text.charAt(offset + match.length);
+      return decodeNamedReference(match, name, nextChar, isAttribute);
+    }
+    let codePoint = (hex != null) ? parseInt(hex, 16) : parseInt(decimal, 10);
+    if (codePoint === 0 || codePoint > 0x10FFFF ||
+        (codePoint >= 0xD800 && codePoint <= 0xDFFF)) {
+      return '\uFFFD';
+    }
+    if (WINDOWS_1252.hasOwnProperty(codePoint)) {
+      codePoint = WINDOWS_1252[codePoint];
+    }
+    return String.fromCodePoint(codePoint);
+  });
+}
+
+function cloneElement(element: ElementNode): ElementNode {
+  return new ElementNode(element.nodeName, Array.from(element.attributes), []);
+}
+
+function removeChild(parent: ElementNode, node: ElementNode) {
+  let index = parent.childNodes.indexOf(node);
+  if (index !== -1) {
+    parent.childNodes.splice(index, 1);
+  }
+}
+
+class TreeBuilder {
+  root: ElementNode;
+  head: ElementNode;
+  stack: Array<ElementNode>;
+  // The open (or implicitly closed) formatting elements, with null marking
+  // where a formatting boundary was entered.
+  formatting: Array<?ElementNode>;
+
+  constructor() {
+    this.root = new ElementNode('body', [], []);
+    this.head = new ElementNode('head', [], []);
+    this.stack = [this.root];
+    this.formatting = [];
+  }
+
+  // Close the open elements from the given index on.
+  popTo(index: number) {
+    for (let i = this.stack.length - 1; i >= index; i--) {
+      if (FORMATTING_BOUNDARIES.hasOwnProperty(this.stack[i].nodeName)) {
+        let marker = this.formatting.lastIndexOf(null);
+        this.formatting.length = Math.max(marker, 0);
+      }
+    }
+    this.stack.length = index;
+  }
+
+  // Reopen the formatting elements that were closed implicitly, so that they
+  // apply to the content that follows, as browsers do.
+  reconstructFormatting() {
+    let start = this.formatting.length;
+    while (start > 0) {
+      let entry = this.formatting[start - 1];
+      if (entry == null || this.stack.indexOf(entry) !== -1) {
+        break;
+      }
+      start -= 1;
+    }
+    for (let i = start; i < this.formatting.length; i++) {
+      let entry = this.formatting[i];
+      if (entry != null) {
+        let element = cloneElement(entry);
+        this.current().appendChild(element);
+        this.stack.push(element);
+        this.formatting[i] = element;
+      }
+    }
+  }
+
+  findFormatting(tagName: string): number {
+    for (let i = this.formatting.length - 1; i >= 0; i--) {
+      let entry = this.formatting[i];
+      if (entry == null) {
+        return -1;
+      }
+      if (entry.nodeName === tagName) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  // Close a formatting element the way browsers do (a simplified form of the
+  // adoption agency algorithm): a block opened inside it is moved out of it,
+  // and the content of that block is wrapped in a copy of it. Returns false if
+  // the element is not an active formatting element.
+  closeFormatting(tagName: string): boolean {
+    for (let iteration = 0; iteration < 8; iteration++) {
+      let entryIndex = this.findFormatting(tagName);
+      if (entryIndex === -1) {
+        return iteration > 0;
+      }
+      let element = this.formatting[entryIndex];
+      let stackIndex = this.stack.indexOf(element);
+      if (element == null || stackIndex === -1) {
+        this.formatting.splice(entryIndex, 1);
+        return true;
+      }
+      let blockIndex = -1;
+      for (let i = stackIndex + 1; i < this.stack.length; i++) {
+        if (BLOCK_ELEMENTS.hasOwnProperty(this.stack[i].nodeName)) {
+          blockIndex = i;
+          break;
+        }
+      }
+      if (blockIndex === -1) {
+        this.popTo(stackIndex);
+        this.formatting.splice(entryIndex, 1);
+        return true;
+      }
+      let block = this.stack[blockIndex];
+      // The formatting elements between the two are copied around the block.
+      let node = block;
+      let parent = this.stack[blockIndex - 1];
+      let copies = [];
+      for (let i = blockIndex - 1; i > stackIndex; i--) {
+        let inner = this.stack[i];
+        let innerIndex = this.formatting.indexOf(inner);
+        if (innerIndex !== -1) {
+          let copy = cloneElement(inner);
+          this.formatting[innerIndex] = copy;
+          removeChild(parent, node);
+          copy.appendChild(node);
+          node = copy;
+          copies.unshift(copy);
+        }
+        parent = this.stack[i - 1];
+      }
+      removeChild(parent, node);
+      this.stack[stackIndex - 1].appendChild(node);
+      let copy = cloneElement(element);
+      block.childNodes.forEach((child) => copy.appendChild(child));
+      block.childNodes = [copy];
+      this.formatting[entryIndex] = copy;
+      this.stack = [
+        ...this.stack.slice(0, stackIndex),
+        ...copies,
+        block,
+        copy,
+        ...this.stack.slice(blockIndex + 1),
+      ];
+    }
+    return true;
+  }
+
+  current(): ElementNode {
+    return this.stack[this.stack.length - 1];
+  }
+
+  appendText(text: string) {
+    if (!text) {
+      return;
+    }
+    let parent = this.current();
+    let lastChild: ?SyntheticNode = parent.childNodes[parent.childNodes.length - 1];
+    if (lastChild != null && lastChild.nodeType === NODE_TYPE_TEXT) {
+      // Adjacent text is a single node in a DOM tree.
+      lastChild.nodeValue += text;
+    } else {
+      parent.appendChild(new TextNode(text));
+    }
+  }
+
+  // Find an open element (searching from the innermost) without crossing any
+  // of the given boundaries. Returns its index in the stack, or -1.
+  findInScope(tagNames: {[tagName: string]: mixed}, boundaries: {[tagName: string]: mixed}): number {
+    for (let i = this.stack.length - 1; i > 0; i--) {
+      let tagName = this.stack[i].nodeName;
+      if (tagNames.hasOwnProperty(tagName)) {
+        return i;
+      }
+      if (boundaries.hasOwnProperty(tagName)) {
+        return -1;
+      }
+    }
+    return -1;
+  }
+
+  closeInScope(tagNames: {[tagName: string]: mixed}, boundaries: {[tagName: string]: mixed}) {
+    let index = this.findInScope(tagNames, boundaries);
+    if (index !== -1) {
+      this.popTo(index);
+    }
+  }
+
+  closeImplied(tagName: string) {
+    if (CLOSES_PARAGRAPH.hasOwnProperty(tagName)) {
+      this.closeInScope({p: 1}, SCOPE_BOUNDARIES);
+    }
+    if (HEADINGS.hasOwnProperty(tagName) &&
+        HEADINGS.hasOwnProperty(this.current().nodeName)) {
+      this.stack.pop();
+    }
+    switch (tagName) {
+      case 'li': {
+        this.closeInScope({li: 1}, LIST_ITEM_BOUNDARIES);
+        break;
+      }
+      case 'dt':
+      case 'dd': {
+        this.closeInScope({dt: 1, dd: 1}, DEFINITION_BOUNDARIES);
+        break;
+      }
+      case 'option': {
+        this.closeInScope({option: 1}, {select: 1, optgroup: 1});
+        break;
+      }
+      case 'optgroup': {
+        this.closeInScope({option: 1, optgroup: 1}, {select: 1});
+        break;
+      }
+      case 'tr': {
+        this.closeInScope({tr: 1}, {table: 1, ...TABLE_SECTIONS});
+        if (this.current().nodeName === 'table') {
+          // Rows are always inside a table section in a DOM tree.
+          this.openElement('tbody', []);
+        }
+        break;
+      }
+      case 'td':
+      case 'th': {
+        this.closeInScope(TABLE_CELLS, {table: 1, tr: 1});
+        let current = this.current().nodeName;
+        if (current === 'table' || TABLE_SECTIONS.hasOwnProperty(current)) {
+          this.closeImplied('tr');
+          this.openElement('tr', []);
+        }
+        break;
+      }
+      case 'tbody':
+      case 'thead':
+      case 'tfoot': {
+        this.closeInScope({tr: 1, ...TABLE_CELLS, ...TABLE_SECTIONS}, {table: 1});
+        break;
+      }
+    }
+  }
+
+  openElement(tagName: string, attributes: Attributes): ElementNode {
+    let element = new ElementNode(tagName, attributes, []);
+    this.current().appendChild(element);
+    if (!VOID_ELEMENTS.hasOwnProperty(tagName)) {
+      this.stack.push(element);
+    }
+    return element;
+  }
+
+  closeElement(tagName: string) {
+    if (FORMATTING_ELEMENTS.hasOwnProperty(tagName) && this.closeFormatting(tagName)) {
+      return;
+    }
+    for (let i = this.stack.length - 1; i > 0; i--) {
+      if (this.stack[i].nodeName === tagName) {
+        this.popTo(i);
+        return;
+      }
+    }
+    // Browsers treat a stray `</p>` as an empty paragraph and `</br>` as a
+    // line break; any other unmatched end tag is ignored.
+    if (tagName === 'br') {
+      this.openElement(tagName, []);
+    } else if (tagName === 'p') {
+      this.openElement(tagName, []);
+      this.closeElement(tagName);
+    }
+  }
+}
+
+function parseAttributes(source: string): Attributes {
+  let attributes = [];
+  let seen = {};
+  let rest = source;
+  while (rest.length) {
+    rest = rest.replace(/^[\s\/]+/, '');
+    let match = ATTRIBUTE.exec(rest);
+    if (!match) {
+      break;
+    }
+    let name = match[1].toLowerCase();
+    let value = match[2] != null ? match[2] : match[3] != null ? match[3] : match[4];
+    // As in the DOM, the first occurrence of an attribute wins.
+    if (!seen.hasOwnProperty(name)) {
+      seen[name] = true;
+      attributes.push([name, decodeEntities(value || '', true)]);
+    }
+    rest = rest.slice(match[0].length);
+  }
+  return attributes;
+}
+
+// Find the index of the `>` that ends a tag, skipping over quoted values. A
+// quote only starts a value right after the `=`; elsewhere it is part of the
+// name or unquoted value it is in.
+function findTagEnd(html: string, index: number): number {
+  let quote = null;
+  let afterEquals = false;
+  let inUnquotedValue = false;
+  for (let i = index; i < html.length; i++) {
+    let char = html.charAt(i);
+    let isSpace = /\s/.test(char);
+    if (quote != null) {
+      if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '>') {
+      return i;
+    } else if (inUnquotedValue) {
+      inUnquotedValue = !isSpace;
+    } else if (afterEquals) {
+      if (char === '"' || char === "'") {
+        quote = char;
+        afterEquals = false;
+      } else if (!isSpace) {
+        inUnquotedValue = true;
+        afterEquals = false;
+      }
+    } else if (char === '=') {
+      afterEquals = true;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Parse an HTML string into a tree of synthetic-dom nodes. The result is a
+ * `body` element holding the parsed content, similar to what you would get
+ * by setting `innerHTML` of a document in a browser, but without needing a
+ * DOM implementation. Anything in `<head>` is discarded.
+ */
+export default function parseHTML(html: string): ElementNode {
+  return parseDocument(html).body;
+}
+
+/**
+ * Parse an HTML string like `parseHTML`, but also return the content of
+ * `<head>` (as a `head` element, empty if there is none).
+ */
+export function parseDocument(html: string): {head: ElementNode, body: ElementNode} {
+  let builder = new TreeBuilder();
+  // Line endings are normalized by the HTML input stream.
+  html = html.replace(/\r\n?/g, '\n');
+  let index = 0;
+  let length = html.length;
+  let dropLeadingNewline = false;
+  while (index < length) {
+    let tagStart = html.indexOf('<', index);
+    if (tagStart === -1) {
+      tagStart = length;
+    }
+    if (tagStart > index) {
+      let text = html.slice(index, tagStart);
+      if (dropLeadingNewline && text.charAt(0) === '\n') {
+        text = text.slice(1);
+      }
+      let contentStart = text.search(/\S/);
+      if (builder.current() === builder.head && contentStart !== -1) {
+        // Text other than whitespace ends the head, as if `</head>` were there.
+        builder.appendText(text.slice(0, contentStart));
+        builder.stack.length = 1;
+        text = text.slice(contentStart);
+      }
+      if (text && builder.current() !== builder.head) {
+        builder.reconstructFormatting();
+      }
+      builder.appendText(decodeEntities(text));
+    }
+    dropLeadingNewline = false;
+    if (tagStart === length) {
+      break;
+    }
+    index = tagStart;
+    if (html.startsWith('<!--', index)) {
+      let commentEnd = html.indexOf('-->', index + 4);
+      index = (commentEnd === -1) ? length : commentEnd + 3;
+      continue;
+    }
+    if (html.charAt(index + 1) === '!' || html.charAt(index + 1) === '?') {
+      // Doctype, CDATA or processing instruction; none of these hold content.
+      let declarationEnd = html.indexOf('>', index);
+      index = (declarationEnd === -1) ? length : declarationEnd + 1;
+      continue;
+    }
+    let isEndTag = (html.charAt(index + 1) === '/');
+    let nameMatch = TAG_NAME.exec(html.slice(index + (isEndTag ? 2 : 1)));
+    if (!nameMatch) {
+      // Not a tag, so the `<` is just text.
+      builder.appendText('<');
+      index += 1;
+      continue;
+    }
+    let tagName = nameMatch[0].toLowerCase();
+    let attributesStart = index + (isEndTag ? 2 : 1) + nameMatch[0].length;
+    let tagEnd = findTagEnd(html, attributesStart);
+    if (tagEnd === -1) {
+      // An unterminated tag at the end of input is dropped.
+      break;
+    }
+    index = tagEnd + 1;
+    if (isEndTag) {
+      if (tagName === 'head') {
+        builder.stack.length = 1;
+      } else if (tagName !== 'html' && tagName !== 'body') {
+        builder.closeElement(tagName);
+      }
+      continue;
+    }
+    let attributes = parseAttributes(html.slice(attributesStart, tagEnd));
+    if (tagName === 'html' || tagName === 'body') {
+      if (builder.current().nodeName === 'head') {
+        builder.stack.length = 1;
+      }
+      continue;
+    }
+    if (tagName === 'head') {
+      // Head content is kept out of the tree by parsing it into a separate
+      // element.
+      builder.stack.push(builder.head);
+      continue;
+    }
+    if (builder.current() === builder.head && !HEAD_ELEMENTS.hasOwnProperty(tagName)) {
+      // So does an element that can't be in the head.
+      builder.stack.length = 1;
+    }
+    builder.closeImplied(tagName);
+    if (builder.current() !== builder.head && !BLOCK_ELEMENTS.hasOwnProperty(tagName) &&
+        !HEAD_ELEMENTS.hasOwnProperty(tagName) && !RAW_TEXT_ELEMENTS.hasOwnProperty(tagName)) {
+      if (tagName === 'a' && builder.findFormatting('a') !== -1) {
+        // A link can't be inside another.
+        builder.closeFormatting('a');
+      }
+      builder.reconstructFormatting();
+    }
+    let element = builder.openElement(tagName, attributes);
+    if (FORMATTING_ELEMENTS.hasOwnProperty(tagName)) {
+      builder.formatting.push(element);
+    } else if (FORMATTING_BOUNDARIES.hasOwnProperty(tagName)) {
+      builder.formatting.push(null);
+    }
+    if (RAW_TEXT_ELEMENTS.hasOwnProperty(tagName)) {
+      let closeTag = new RegExp('</' + tagName + '[\\s/>]', 'i');
+      let match = closeTag.exec(html.slice(index));
+      let contentEnd = match ? index + match.index : length;
+      let text = html.slice(index, contentEnd);
+      if (LEADING_NEWLINE_ELEMENTS.hasOwnProperty(tagName) && text.charAt(0) === '\n') {
+        text = text.slice(1);
+      }
+      builder.appendText(RAW_TEXT_ELEMENTS[tagName] ? decodeEntities(text) : text);
+      builder.closeElement(tagName);
+      let endTagEnd = match ? html.indexOf('>', contentEnd) : -1;
+      index = (endTagEnd === -1) ? length : endTagEnd + 1;
+      continue;
+    }
+    if (element.isSelfClosing || VOID_ELEMENTS.hasOwnProperty(tagName)) {
+      continue;
+    }
+    dropLeadingNewline = LEADING_NEWLINE_ELEMENTS.hasOwnProperty(tagName);
+  }
+  return {head: builder.head, body: builder.root};
+}
@@ -0,0 +1,131 @@
+/* @flow */
+
+import type {DOMElement} from '../stateFromElement';
+
+type AttributeSelector = {
+  name: string;
+  value: ?string;
+};
+
+type CompoundSelector = {
+  tagName: ?string;
+  id: ?string;
+  classNames: Array<string>;
+  attributes: Array<AttributeSelector>;
+  // How this part relates to the part before it.
+  combinator: 'descendant' | 'child';
+};
+
+export type Selector = {
+  parts: Array<CompoundSelector>;
+  specificity: number;
+};
+
+const COMPOUND_SELECTOR = /^(?:\*|[a-z][\w-]*)?(?:\.[\w-]+|#[\w-]+|\[\s*[\w-]+\s*(?:=\s*(?:"[^"]*"|'[^']*'|[\w-]+)\s*)?\])*/i;
+const SIMPLE_SELECTOR = /\.([\w-]+)|#([\w-]+)|\[\s*([\w-]+)\s*(?:=\s*(?:"([^"]*)"|'([^']*)'|([\w-]+))\s*)?\]/g;
+const COMBINATOR = /^\s*(>?)\s*/;
+
+function parseCompound(text: string, combinator: 'descendant' | 'child'): CompoundSelector {
+  let tagMatch = /^[a-z][\w-]*/i.exec(text);
+  let compound = {
+    tagName: tagMatch ? tagMatch[0].toLowerCase() : null,
+    id: null,
+    classNames: [],
+    attributes: [],
+    combinator,
+  };
+  text.replace(SIMPLE_SELECTOR, (match, className, id, name, ...values) => {
+    if (className != null) {
+      compound.classNames.push(className);
+    } else if (id != null) {
+      compound.id = id;
+    } else {
+      let value = values.slice(0, 3).find((value) => value != null);
+      compound.attributes.push({name: name.toLowerCase(), value});
+    }
+    return match;
+  });
+  return compound;
+}
+
+/**
+ * Parse a simple CSS selector: tag names, `*`, classes, ids and attribute
+ * selectors (`[name]` or `[name=value]`), joined by descendant or child (`>`)
+ * combinators. Throws for anything else.
+ */
+export default function parseSelector(selector: string): Selector {
+  let parts = [];
+  let rest = selector.trim();
+  let combinator = 'descendant';
+  while (rest) {
+    let match = COMPOUND_SELECTOR.exec(rest);
+    if (!match || !match[0]) {
+      throw new Error(`Unsupported selector: ${selector}`);
+    }
+    parts.push(parseCompound(match[0], combinator));
+    rest = rest.slice(match[0].length);
+    let combinatorMatch = COMBINATOR.exec(rest) || ['', ''];
+    combinator = combinatorMatch[1] ? 'child' : 'descendant';
+    rest = rest.slice(combinatorMatch[0].length);
+    if (!rest && combinatorMatch[1]) {
+      throw new Error(`Unsupported selector: ${selector}`);
+    }
+  }
+  if (!parts.length) {
+    throw new Error(`Unsupported selector: ${selector}`);
+  }
+  let specificity = 0;
+  parts.forEach((part) => {
+    specificity += (part.id ? 10000 : 0) +
+      (part.classNames.length + part.attributes.length) * 100 +
+      (part.tagName ? 1 : 0);
+  });
+  return {parts, specificity};
+}
+
+function matchesCompound(compound: CompoundSelector, element: DOMElement): boolean {
+  if (compound.tagName && element.nodeName.toLowerCase() !== compound.tagName) {
+    return false;
+  }
+  if (compound.id && element.getAttribute('id') !== compound.id) {
+    return false;
+  }
+  if (compound.classNames.length) {
+    let classNames = (element.getAttribute('class') || '').split(/\s+/);
+    if (!compound.classNames.every((name) => classNames.indexOf(name) !== -1)) {
+      return false;
+    }
+  }
+  return compound.attributes.every(({name, value}) => {
+    let attributeValue = element.getAttribute(name);
+    return (value == null) ? attributeValue != null : attributeValue === value;
+  });
+}
+
+function matchesFrom(parts: Array<CompoundSelector>, partIndex: number, elements: Array<DOMElement>, elementIndex: number): boolean {
+  let part = parts[partIndex];
+  if (!matchesCompound(part, elements[elementIndex])) {
+    return false;
+  }
+  if (partIndex === 0) {
+    return true;
+  }
+  if (part.combinator === 'child') {
+    return elementIndex > 0 && matchesFrom(parts, partIndex - 1, elements, elementIndex - 1);
+  }
+  for (let i = elementIndex - 1; i >= 0; i--) {
+    if (matchesFrom(parts, partIndex - 1, elements, i)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Whether the last of `elements` matches a selector, where the elements
+ * before it are its ancestors, outermost first.
+ */
+export function matchesSelector(selector: Selector, elements: Array<DOMElement>): boolean {
+  return elements.length > 0 &&
+    matchesFrom(selector.parts, selector.parts.length - 1, elements, elements.length - 1);
+}
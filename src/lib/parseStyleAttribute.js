@@ -0,0 +1,52 @@
+/* @flow */
+
+type Declaration = [string, string];
+
+const IMPORTANT = /\s*!\s*important\s*$/i;
+
+/**
+ * Split the value of a `style` attribute into [property, value] pairs. The
+ * property names are lower-cased; the values are trimmed and any `!important`
+ * is removed. Semicolons inside quotes or parentheses (such as in a data URL)
+ * do not end a declaration.
+ */
+export default function parseStyleAttribute(styleAttribute: string): Array<Declaration> {
+  let declarations = [];
+  let quote = null;
+  let parens = 0;
+  let start = 0;
+  for (let i = 0; i <= styleAttribute.length; i++) {
+    let char = styleAttribute.charAt(i);
+    if (quote != null) {
+      if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '(') {
+      parens += 1;
+    } else if (char === ')') {
+      parens = Math.max(parens - 1, 0);
+    } else if ((char === ';' && parens === 0) || i === styleAttribute.length) {
+      let declaration = parseDeclaration(styleAttribute.slice(start, i));
+      if (declaration != null) {
+        declarations.push(declaration);
+      }
+      start = i + 1;
+    }
+  }
+  return declarations;
+}
+
+function parseDeclaration(source: string): ?Declaration {
+  let colonIndex = source.indexOf(':');
+  if (colonIndex === -1) {
+    return null;
+  }
+  let property = source.slice(0, colonIndex).trim().toLowerCase();
+  let value = source.slice(colonIndex + 1).replace(IMPORTANT, '').trim();
+  if (!property || !value) {
+    return null;
+  }
+  return [property, value];
+}
@@ -0,0 +1,106 @@
+/* @flow */
+
+type UrlParts = {
+  scheme: ?string;
+  authority: ?string;
+  path: string;
+  query: ?string;
+  fragment: ?string;
+};
+
+const URL_PARTS = /^(?:([a-z][a-z0-9+.-]*):)?(?:\/\/([^\/?#]*))?([^?#]*)(?:\?([^#]*))?(?:#(.*))?$/i;
+
+function parseUrl(url: string): UrlParts {
+  // The pattern matches any string since every part is optional.
+  let match = URL_PARTS.exec(url) || [];
+  return {
+    scheme: match[1],
+    authority: match[2],
+    path: match[3] || '',
+    query: match[4],
+    fragment: match[5],
+  };
+}
+
+function formatUrl({scheme, authority, path, query, fragment}: UrlParts): string {
+  let url = '';
+  if (scheme != null) {
+    url += scheme + ':';
+  }
+  if (authority != null) {
+    url += '//' + authority;
+  }
+  url += path;
+  if (query != null) {
+    url += '?' + query;
+  }
+  if (fragment != null) {
+    url += '#' + fragment;
+  }
+  return url;
+}
+
+// Remove `.` and `..` segments from a path (RFC 3986, section 5.2.4).
+function removeDotSegments(path: string): string {
+  let output = [];
+  let segments = path.split('/');
+  segments.forEach((segment, i) => {
+    let isLast = (i === segments.length - 1);
+    if (segment === '.' || segment === '..') {
+      if (segment === '..' && output.length > 1) {
+        output.pop();
+      }
+      // A path ending in a dot segment refers to a directory.
+      if (isLast) {
+        output.push('');
+      }
+    } else {
+      output.push(segment);
+    }
+  });
+  let result = output.join('/');
+  // Keep the path absolute if it was.
+  return (path.charAt(0) === '/' && result.charAt(0) !== '/') ? '/' + result : result;
+}
+
+function mergePaths(base: UrlParts, path: string): string {
+  if (base.authority != null && base.path === '') {
+    return '/' + path;
+  }
+  return base.path.slice(0, base.path.lastIndexOf('/') + 1) + path;
+}
+
+/**
+ * Resolve a URL against a base URL, the way a browser resolves the `href` of
+ * a link in a document at the base URL (following RFC 3986, section 5.2).
+ * URLs with a scheme, such as `mailto:` or `data:` URLs, are returned as-is.
+ */
+export default function resolveUrl(baseUrl: string, url: string): string {
+  url = url.trim();
+  let ref = parseUrl(url);
+  if (ref.scheme != null) {
+    return url;
+  }
+  let base = parseUrl(baseUrl.trim());
+  let result = {
+    scheme: base.scheme,
+    authority: base.authority,
+    path: base.path,
+    query: base.query,
+    fragment: ref.fragment,
+  };
+  if (ref.authority != null) {
+    result.authority = ref.authority;
+    result.path = removeDotSegments(ref.path);
+    result.query = ref.query;
+  } else if (ref.path === '') {
+    if (ref.query != null) {
+      result.query = ref.query;
+    }
+  } else {
+    let path = (ref.path.charAt(0) === '/') ? ref.path : mergePaths(base, ref.path);
+    result.path = removeDotSegments(path);
+    result.query = ref.query;
+  }
+  return formatUrl(result);
+}
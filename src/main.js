@@ -1 +1,3 @@
-export {default as stateFromElement} from './stateFromElement';
+export {default as stateFromElement, stateFromElementWithReport} from './stateFromElement';
+export {default as stateFromHTML} from './stateFromHTML';
+export {default as fragmentFromElement, insertFragmentFromElement} from './fragmentFromElement';
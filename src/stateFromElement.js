@@ -1,6 +1,9 @@
 /* @flow */
 
-import replaceTextWithMeta from './lib/replaceTextWithMeta';
+import parseStyleAttribute from './lib/parseStyleAttribute';
+import normalizeColor from './lib/normalizeColor';
+import resolveUrl from './lib/resolveUrl';
+import parseSelector, {matchesSelector} from './lib/parseSelector';
 import {
   CharacterMetadata,
   ContentBlock,
@@ -8,19 +11,20 @@ import {
   Entity,
   genKey,
 } from 'draft-js';
-import {List, Map, OrderedSet, Repeat, Seq} from 'immutable';
+import {List, Map, OrderedSet, Repeat} from 'immutable';
 import {BLOCK_TYPE, ENTITY_TYPE, INLINE_STYLE} from 'draft-js-utils';
 import {NODE_TYPE_ELEMENT, NODE_TYPE_TEXT} from 'synthetic-dom';
 import styleToCssString from './styleToCssString';
 
 import type {Set, IndexedSeq} from 'immutable';
+import type {Selector} from './lib/parseSelector';
 import type {
   Node as SyntheticNode,
   ElementNode as SyntheticElement,
 } from 'synthetic-dom';
 
 type DOMNode = SyntheticNode | Node;
-type DOMElement = SyntheticElement | Element;
+export type DOMElement = SyntheticElement | Element;
 
 type CharacterMetaSeq = IndexedSeq<CharacterMetadata>;
 type Style = string;
@@ -29,8 +33,22 @@ type StyleSet = Set<Style>;
 type TextFragment = {
   text: string;
   characterMeta: CharacterMetaSeq;
+  // Whether whitespace in the text is kept as-is rather than collapsed.
+  preserveWhiteSpace?: boolean;
 };
 
+// The text of a block once its fragments are joined, with the metadata of
+// each character in an array so that it can be processed in one pass.
+type BlockText = {
+  text: string;
+  characterMeta: Array<CharacterMetadata>;
+  // Which characters are in text whose whitespace is kept, if any are.
+  preserved?: ?Array<boolean>;
+};
+
+// Values of the CSS `white-space` property.
+type WhiteSpace = 'normal' | 'nowrap' | 'pre' | 'pre-wrap' | 'pre-line' | 'break-spaces';
+
 type BlockData = {[key: string]: mixed};
 
 // A ParsedBlock has two purposes:
@@ -46,22 +64,269 @@ type ParsedBlock = {
   entityStack: Array<?Entity>;
   depth: number;
   data: ?BlockData;
+  // Alignment, direction and language in effect for this block, including
+  // those inherited from its ancestors.
+  formatting?: BlockFormatting;
+  // Set when another block has been output since this one started, so any
+  // further inline content must go into a continuation block.
+  isInterrupted?: boolean;
+  // Atomic blocks hold a single placeholder character for their entity, which
+  // is kept as-is rather than being subject to whitespace collapsing.
+  isAtomic?: boolean;
+  // The value of the `blockKeyAttribute` of the element, to use as the key.
+  key?: ?string;
+  // The keys of the data copied from attributes by `blockAttributes`, which
+  // like the key only go on the first block for the element.
+  attributeKeys?: ?Array<string>;
+  element?: DOMElement;
+};
+
+type BlockFormatting = {
+  textAlign?: string;
+  dir?: string;
+  lang?: string;
+};
+
+type BlockFormattingOptions = {
+  textAlign?: boolean;
+  dir?: boolean;
+  lang?: boolean;
+};
+
+type TableMode = 'cells' | 'atomic';
+
+// Parser state for a table element as we traverse its rows and cells.
+type TableContext = {
+  id: string;
+  row: number;
+  // Which grid positions are taken, including by cells spanning rows.
+  grid: Array<Array<boolean>>;
+  // Data of the cell whose contents we are currently inside, if any.
+  cell: ?BlockData;
 };
 
 type ElementStyles = {[tagName: string]: Style};
 type CustomStyleMap = {[styleName: string]: { [key: string]: string }};
 type CustomCssMapToStyle = {[css: string]: string};
 
-type Options = {
+// Interprets the value of one CSS property as inline styles to add or, using
+// the object form, inherited styles to remove.
+type CssStyleChange = Style | Array<Style>;
+type CssStyleRuleResult = CssStyleChange | {add?: CssStyleChange, remove?: CssStyleChange};
+type CssStyleRule = (value: string, element: DOMElement) => ?CssStyleRuleResult;
+type CssStyleRules = {[property: string]: ?CssStyleRule | false};
+
+type DynamicStyleProperty = 'color' | 'background-color' | 'font-size' | 'font-family';
+// Names the style for a (normalized) CSS value, such as `COLOR-#ff0000`.
+type DynamicStyleFn = (property: DynamicStyleProperty, value: string) => ?Style;
+
+type EntityMutability = 'MUTABLE' | 'IMMUTABLE' | 'SEGMENTED';
+
+type EntityData = {[key: string]: mixed};
+
+type EntityConverter = {
+  type: string;
+  mutability?: EntityMutability;
+  // Element attribute name as key, entity data key as value.
+  attributes?: {[attrName: string]: string};
+  // Data keys that must be present for the entity to be created.
+  required?: Array<string>;
+  // Adjust the data taken from attributes; return nothing to skip the entity.
+  getData?: (element: DOMElement, data: EntityData) => ?EntityData;
+  // Whether the element becomes an atomic block of its own rather than an
+  // entity on the text inside it.
+  atomic?: boolean;
+  // Data keys holding URLs, which are only kept if the URL is allowed. By
+  // default these are `url`, `href`, `src` and `poster`.
+  urlFields?: Array<string>;
+};
+
+type EntityConverters = {[tagName: string]: EntityConverter | false | null};
+
+type CustomInline =
+  {type: 'STYLE', style: Style} |
+  {type: 'ENTITY', entityKey: string};
+
+type InlineCreators = {
+  Style: (style: Style) => CustomInline;
+  Entity: (type: string, data?: Object, mutability?: EntityMutability) => CustomInline;
+};
+
+type CustomInlineFn = (
+  element: DOMElement,
+  creators: InlineCreators,
+) => ?(CustomInline | Array<?CustomInline>);
+
+// Something in the source that could not be imported: an element, an
+// attribute of an element converted to an entity, a CSS declaration of an
+// inline element, an entity that was not created or a URL that is not
+// allowed.
+type ImportWarningType = 'element' | 'attribute' | 'style' | 'entity' | 'url';
+
+export type ImportWarning = {
+  type: ImportWarningType;
+  // Tag names from the root element down to the element, such as
+  // `body > p > a`.
+  path: string;
+  tagName: string;
+  // The attribute name, CSS property or entity data key that was dropped.
+  name?: string;
+  value?: string;
+  reason: string;
+};
+
+export type ImportedBlocks = {
+  blocks: Array<ContentBlock>;
+  contentState: ContentState;
+};
+
+export type ImportReport = {
+  contentState: ContentState;
+  warnings: Array<ImportWarning>;
+  summary: {[type: string]: number; total: number};
+};
+
+type DefinitionListBlockTypes = {
+  term?: string;
+  description?: string;
+};
+
+// Selector as key, the block type for elements it matches as value.
+type BlockTypes = {[selector: string]: string | false};
+// A block type that `nest`s takes the depth of the blocks it is inside of
+// and the blocks inside it go one level deeper, as list items do. One that
+// `inherit`s takes the depth of the blocks it is inside of without adding a
+// level.
+type BlockDepthRule = 'nest' | 'inherit';
+type BlockDepth = {[blockType: string]: BlockDepthRule | false};
+
+type BlockTypeRule = {
+  selector: Selector;
+  type: string;
+};
+
+export type Options = {
   elementStyles?: ElementStyles;
   customStyleMap?: CustomStyleMap;
   customBlockFn?: (element: DOMElement) => ?{type?: string, data?: BlockData};
+  customInlineFn?: CustomInlineFn;
+  entityConverters?: EntityConverters;
+  tableMode?: TableMode;
+  cssStyleRules?: CssStyleRules;
+  dynamicStyleFn?: DynamicStyleFn;
+  // Set to false (or false for one of the keys) to not keep block formatting.
+  blockFormatting?: boolean | BlockFormattingOptions;
+  // Block type for task list items, or false to import them as list items.
+  checklistBlockType?: string | false;
+  // Hosts that embedded content (iframe, embed) may come from; subdomains of
+  // these are allowed too. By default any host is allowed.
+  embedHosts?: ?Array<string>;
+  // Import images that are on their own, outside of any text, as atomic
+  // blocks (as is always done for images in a `<figure>`).
+  atomicImages?: boolean;
+  // Called for each thing that could not be imported.
+  onWarning?: (warning: ImportWarning) => void;
+  // URL schemes (such as `https`) or URL prefixes (such as `data:image/`)
+  // allowed in entity data. Relative URLs are always allowed.
+  allowedUrlSchemes?: Array<string>;
+  // URL of the document the element is from, which relative URLs in entity
+  // data are resolved against (after any `<base href>` in the element).
+  baseUrl?: string;
+  // Content state to create entities in, such as the content of the editor
+  // the imported content is for.
+  contentState?: ContentState;
+  // Block types for the terms (`<dt>`) and descriptions (`<dd>`) of definition
+  // lists, or false to import them as paragraphs.
+  definitionListBlockTypes?: DefinitionListBlockTypes | false;
+  // Entity type for `<hr>` elements, which become atomic blocks, or false to
+  // drop them.
+  dividerEntityType?: string | false;
+  // Import CSS page breaks (`page-break-before: always` and the like) as
+  // atomic blocks.
+  pageBreaks?: boolean;
+  // Entity type for page breaks.
+  pageBreakEntityType?: string;
+  // Block type for dividers and page breaks.
+  dividerBlockType?: string;
+  // Copy the `id` and `data-*` attributes of block elements, and any other
+  // attributes listed, into the block data.
+  blockAttributes?: boolean | Array<string>;
+  // Attribute to use as the key of the block for an element, if no other
+  // block has the same value.
+  blockKeyAttribute?: string;
+  // Import code as one block (`'single'`, the default) or as one block per
+  // line (`'perLine'`), all with the same data.
+  codeBlockMode?: 'single' | 'perLine';
+  // Keep inline styles in code blocks. By default their text is unstyled, so
+  // that the token spans of syntax highlighters don't become styles.
+  codeBlockInlineStyles?: boolean;
+  // Handle whitespace in all text as for this CSS `white-space` value, instead
+  // of following the `white-space` of the elements the text is in.
+  whiteSpace?: WhiteSpace;
+  // Class name as key, the `white-space` value elements with the class have
+  // as value.
+  whiteSpaceClasses?: {[className: string]: WhiteSpace};
+  // Rewrite (or, by returning nothing, drop) each URL in entity data.
+  urlTransform?: (url: string, context: {tagName: string, attribute: string}) => ?string;
+  // Block types for elements, by tag name or selector, merged with the
+  // defaults. Set a selector to false to remove its default.
+  blockTypes?: BlockTypes;
+  // Which block types have a depth and how they get it, merged with the
+  // defaults (list items, checklist items and definition lists nest).
+  blockDepth?: BlockDepth;
+};
+
+const BLOCK_TYPES: BlockTypes = {
+  li: BLOCK_TYPE.UNORDERED_LIST_ITEM,
+  'ol > li': BLOCK_TYPE.ORDERED_LIST_ITEM,
+  blockquote: BLOCK_TYPE.BLOCKQUOTE,
+  h1: BLOCK_TYPE.HEADER_ONE,
+  h2: BLOCK_TYPE.HEADER_TWO,
+  h3: BLOCK_TYPE.HEADER_THREE,
+  h4: BLOCK_TYPE.HEADER_FOUR,
+  h5: BLOCK_TYPE.HEADER_FIVE,
+  h6: BLOCK_TYPE.HEADER_SIX,
+  pre: BLOCK_TYPE.CODE,
+  figure: BLOCK_TYPE.ATOMIC,
 };
 
+const BLOCK_DEPTH: BlockDepth = {
+  [BLOCK_TYPE.UNORDERED_LIST_ITEM]: 'nest',
+  [BLOCK_TYPE.ORDERED_LIST_ITEM]: 'nest',
+};
+
+const TABLE_CELL = 'table-cell';
+const TABLE_ENTITY = 'TABLE';
+const EMBED_ENTITY = 'EMBED';
+const ATOMIC_PLACEHOLDER = ' ';
+
+const DEFINITION_LIST_BLOCK_TYPES = {
+  term: 'definition-term',
+  description: 'definition-description',
+};
+
+const DIVIDER_ENTITY = 'DIVIDER';
+const PAGE_BREAK_ENTITY = 'PAGE_BREAK';
+const PAGE_BREAK_VALUES = {
+  always: 1, page: 1, left: 1, right: 1, recto: 1, verso: 1,
+};
+
+const CHECKLIST_ITEM = 'checkable-list-item';
+const TASK_LIST_ITEM_CLASS = /(^|\s)task-list-item(\s|$)/;
+// Elements that the checkbox of a task list item can be inside of.
+const CHECKBOX_WRAPPERS = {div: 1, label: 1, p: 1, span: 1};
+
+const TEXT_ALIGN_VALUES = {
+  left: 1, right: 1, center: 1, justify: 1, start: 1, end: 1,
+};
+const DIR_VALUES = {ltr: 1, rtl: 1, auto: 1};
+
 const NO_STYLE = OrderedSet();
 const NO_ENTITY = null;
 
-const EMPTY_BLOCK = new ContentBlock({
+// Each import gets its own empty block, so that blocks from different
+// imports never share a key.
+const createEmptyBlock = (): ContentBlock => new ContentBlock({
   key: genKey(),
   text: '',
   type: BLOCK_TYPE.UNSTYLED,
@@ -76,48 +341,293 @@ const LINE_BREAKS = /(\r\n|\r|\n)/g;
 const SOFT_BREAK_PLACEHOLDER = '\r';
 const ZERO_WIDTH_SPACE = '\u200B';
 const DATA_ATTRIBUTE = /^data-([a-z0-9-]+)$/;
+const EVENT_ATTRIBUTE = /^on/i;
+
+// Anything else, such as `javascript:` URLs, is dropped from entity data.
+const ALLOWED_URL_SCHEMES = ['http', 'https', 'ftp', 'mailto', 'tel', 'data:image/'];
+const URL_FIELDS = ['url', 'href', 'src', 'poster'];
+const URL_SCHEME = /^([a-z][a-z0-9+.-]*):/;
+
+// Elements with a `white-space` other than `normal` in the default style
+// sheet of browsers.
+const WHITE_SPACE_ELEMENTS: {[tagName: string]: WhiteSpace} = {
+  listing: 'pre', nobr: 'nowrap', plaintext: 'pre', pre: 'pre',
+  textarea: 'pre-wrap', xmp: 'pre',
+};
+const WHITE_SPACE_VALUES = {
+  normal: 1, nowrap: 1, pre: 1, 'pre-wrap': 1, 'pre-line': 1, 'break-spaces': 1,
+};
+
+// Elements whose content is never imported.
+const DISCARDED_ELEMENTS = {noscript: 1, script: 1, style: 1};
+
+// Synthetic elements keep their attributes in a Map, DOM elements in a
+// NamedNodeMap; this gives us a list of name/value pairs for either.
+const getAttributes = (element: DOMElement): Array<[string, string]> => {
+  let {attributes} = element;
+  if (typeof attributes.entries === 'function') {
+    return Array.from(attributes.entries());
+  }
+  return Array.from(attributes).map(({name, value}) => [name, value]);
+};
+
+// Converters describing how elements become entities. Each one maps element
+// attributes to entity data, and the entity is only created if all of the
+// `required` data keys are present. `data-*` attributes are always kept.
+const ENTITY_CONVERTERS: EntityConverters = {
+  a: {
+    type: ENTITY_TYPE.LINK,
+    mutability: 'MUTABLE',
+    attributes: {href: 'url', rel: 'rel', target: 'target', title: 'title'},
+    // Don't add `<a>` elements with no href.
+    required: ['url'],
+  },
+  img: {
+    type: ENTITY_TYPE.IMAGE,
+    mutability: 'MUTABLE',
+    attributes: {src: 'src', alt: 'alt'},
+    // Don't add `<img>` elements with no src.
+    required: ['src'],
+  },
+  video: {
+    type: 'VIDEO',
+    mutability: 'IMMUTABLE',
+    attributes: {
+      src: 'src', width: 'width', height: 'height', poster: 'poster',
+      controls: 'controls', autoplay: 'autoplay', loop: 'loop', muted: 'muted',
+    },
+    required: ['src'],
+    getData: getMediaData,
+    atomic: true,
+  },
+  audio: {
+    type: 'AUDIO',
+    mutability: 'IMMUTABLE',
+    attributes: {
+      src: 'src', controls: 'controls', autoplay: 'autoplay', loop: 'loop',
+      muted: 'muted',
+    },
+    required: ['src'],
+    getData: getMediaData,
+    atomic: true,
+  },
+  iframe: {
+    type: EMBED_ENTITY,
+    mutability: 'IMMUTABLE',
+    attributes: {src: 'src', width: 'width', height: 'height', title: 'title'},
+    required: ['src'],
+    getData: getEmbedData,
+    atomic: true,
+  },
+  embed: {
+    type: EMBED_ENTITY,
+    mutability: 'IMMUTABLE',
+    attributes: {src: 'src', width: 'width', height: 'height', type: 'type'},
+    required: ['src'],
+    getData: getEmbedData,
+    atomic: true,
+  },
+};
 
-// Map element attributes to entity data.
-const ELEM_ATTR_MAP = {
-  a: {href: 'url', rel: 'rel', target: 'target', title: 'title'},
-  img: {src: 'src', alt: 'alt'},
+// Known embed providers by host (subdomains included).
+const EMBED_PROVIDERS = {
+  'youtube.com': 'youtube',
+  'youtube-nocookie.com': 'youtube',
+  'youtu.be': 'youtube',
+  'vimeo.com': 'vimeo',
+  'dailymotion.com': 'dailymotion',
+  'soundcloud.com': 'soundcloud',
+  'spotify.com': 'spotify',
+  'twitch.tv': 'twitch',
+  'loom.com': 'loom',
 };
 
-const getEntityData = (tagName: string, element: DOMElement) => {
-  const data = {};
-  if (ELEM_ATTR_MAP.hasOwnProperty(tagName)) {
-    const attrMap = ELEM_ATTR_MAP[tagName];
-    for (let i = 0; i < element.attributes.length; i++) {
-      const {name, value} = element.attributes[i];
-      if (value != null) {
-        if (attrMap.hasOwnProperty(name)) {
-          const newName = attrMap[name];
-          data[newName] = value;
-        } else if (DATA_ATTRIBUTE.test(name)) {
-          data[name] = value;
+const URL_HOST = /^(?:[a-z][a-z0-9+.-]*:)?\/\/(?:[^@\/?#]*@)?([^\/?#:]+)/i;
+
+function getUrlHost(url: string): ?string {
+  let match = URL_HOST.exec(url.trim());
+  return match ? match[1].toLowerCase() : null;
+}
+
+// Find the entry of a host map for a host or any of its parent domains.
+function matchHost<T>(host: string, hosts: {[host: string]: T}): ?T {
+  let parts = host.split('.');
+  for (let i = 0; i < parts.length - 1; i++) {
+    let domain = parts.slice(i).join('.');
+    if (hosts.hasOwnProperty(domain)) {
+      return hosts[domain];
+    }
+  }
+  return null;
+}
+
+// Media elements can give their source in a `<source>` child instead of the
+// `src` attribute, and have boolean attributes that are present or not.
+function getMediaData(element: DOMElement, data: EntityData): EntityData {
+  if (data.src == null) {
+    let source = Array.from(element.childNodes || []).find((node) => (
+      node.nodeType === NODE_TYPE_ELEMENT &&
+      node.nodeName.toLowerCase() === 'source' &&
+      node.getAttribute('src')
+    ));
+    if (source != null) {
+      data.src = source.getAttribute('src');
+      let type = source.getAttribute('type');
+      if (type) {
+        data.type = type;
+      }
+    }
+  }
+  ['controls', 'autoplay', 'loop', 'muted'].forEach((name) => {
+    if (data.hasOwnProperty(name)) {
+      data[name] = true;
+    }
+  });
+  return data;
+}
+
+function getEmbedData(element: DOMElement, data: EntityData): EntityData {
+  let host = (typeof data.src === 'string') ? getUrlHost(data.src) : null;
+  let provider = host ? matchHost(host, EMBED_PROVIDERS) : null;
+  if (provider) {
+    data.provider = provider;
+  }
+  return data;
+}
+
+// Overrides are merged into the default converter for the same tag, so only
+// the fields that differ need to be given; `false` removes a converter.
+function getEntityConverters(overrides: ?EntityConverters): {[tagName: string]: EntityConverter} {
+  let converters = {...ENTITY_CONVERTERS};
+  if (overrides != null) {
+    Object.keys(overrides).forEach((tagName) => {
+      let override = overrides[tagName];
+      if (override) {
+        converters[tagName] = {...converters[tagName], ...override};
+      } else {
+        delete converters[tagName];
+      }
+    });
+  }
+  return converters;
+}
+
+// Whether a URL is relative or uses one of the allowed schemes. Browsers
+// ignore tabs and newlines anywhere in a URL and leading control characters
+// and spaces, so `java\tscript:` is a `javascript:` URL.
+function isAllowedUrl(url: string, allowedSchemes: Array<string>): boolean {
+  let normalizedUrl = url
+    .replace(/[\t\n\r]/g, '')
+    .replace(/^[\u0000-\u0020]+/, '')
+    .toLowerCase();
+  let match = URL_SCHEME.exec(normalizedUrl);
+  if (match == null) {
+    return true;
+  }
+  let scheme = match[1];
+  return allowedSchemes.some((allowed) => {
+    allowed = allowed.toLowerCase();
+    return (allowed.indexOf(':') === -1) ?
+      allowed === scheme :
+      normalizedUrl.indexOf(allowed) === 0;
+  });
+}
+
+// The element attribute an entity data key is taken from.
+function getAttributeName(converter: EntityConverter, key: string): string {
+  let attrMap = converter.attributes || {};
+  let attribute = Object.keys(attrMap).find((name) => attrMap[name] === key);
+  return attribute || key;
+}
+
+function getEntityData(
+  converter: EntityConverter,
+  element: DOMElement,
+  onDroppedAttribute?: (name: string, value: string) => void,
+): ?EntityData {
+  let attrMap = converter.attributes || {};
+  let data = {};
+  for (let [name, value] of getAttributes(element)) {
+    if (value != null) {
+      if (EVENT_ATTRIBUTE.test(name)) {
+        // Event handlers are never kept, even if a converter asks for them.
+        if (onDroppedAttribute) {
+          onDroppedAttribute(name, value);
         }
+      } else if (attrMap.hasOwnProperty(name)) {
+        data[attrMap[name]] = value;
+      } else if (DATA_ATTRIBUTE.test(name)) {
+        data[name] = value;
+      } else if (onDroppedAttribute && name !== 'style') {
+        // The style attribute is imported as inline styles.
+        onDroppedAttribute(name, value);
       }
     }
   }
+  if (converter.getData) {
+    return converter.getData(element, data);
+  }
   return data;
+}
+
+// Rules to interpret CSS properties in `style` attributes as the standard
+// inline styles. Values that switch a style off (such as `font-weight:normal`
+// inside `<b>`) remove it from the inherited styles.
+const CSS_STYLE_RULES: CssStyleRules = {
+  'font-weight': getFontWeightStyles,
+  'font-style': getFontStyleStyles,
+  'text-decoration': getTextDecorationStyles,
+  'text-decoration-line': getTextDecorationStyles,
 };
 
-// Functions to convert elements to entities.
-const ELEM_TO_ENTITY = {
-  a(tagName: string, element: DOMElement): ?string {
-    let data = getEntityData(tagName, element);
-    // Don't add `<a>` elements with no href.
-    if (data.url != null) {
-      return Entity.create(ENTITY_TYPE.LINK, 'MUTABLE', data);
-    }
-  },
-  img(tagName: string, element: DOMElement): ?string {
-    let data = getEntityData(tagName, element);
-    // Don't add `<img>` elements with no src.
-    if (data.src != null) {
-      return Entity.create(ENTITY_TYPE.IMAGE, 'MUTABLE', data);
+function getFontWeightStyles(value: string): ?CssStyleRuleResult {
+  value = value.toLowerCase();
+  if (value === 'bold' || value === 'bolder') {
+    return INLINE_STYLE.BOLD;
+  }
+  if (value === 'normal' || value === 'lighter') {
+    return {remove: INLINE_STYLE.BOLD};
+  }
+  // Numeric weights from 600 (semi-bold) up are rendered bold.
+  let weight = Number(value);
+  if (isNaN(weight)) {
+    return null;
+  }
+  return (weight >= 600) ? INLINE_STYLE.BOLD : {remove: INLINE_STYLE.BOLD};
+}
+
+function getFontStyleStyles(value: string): ?CssStyleRuleResult {
+  value = value.toLowerCase();
+  if (/^(italic|oblique)\b/.test(value)) {
+    return INLINE_STYLE.ITALIC;
+  }
+  if (value === 'normal') {
+    return {remove: INLINE_STYLE.ITALIC};
+  }
+  return null;
+}
+
+function getTextDecorationStyles(value: string): ?CssStyleRuleResult {
+  let styles = [];
+  // The shorthand can also hold a color and line style, which we ignore.
+  for (let keyword of value.toLowerCase().split(/\s+/)) {
+    if (keyword === 'none') {
+      return {remove: [INLINE_STYLE.UNDERLINE, INLINE_STYLE.STRIKETHROUGH]};
+    } else if (keyword === 'underline') {
+      styles.push(INLINE_STYLE.UNDERLINE);
+    } else if (keyword === 'line-through') {
+      styles.push(INLINE_STYLE.STRIKETHROUGH);
     }
-  },
+  }
+  return styles;
+}
+
+// The `size` attribute of `<font>`, from 1 to 7, as CSS font sizes.
+const FONT_SIZES = ['10px', '13px', '16px', '18px', '24px', '32px', '48px'];
+
+// CSS properties that `dynamicStyleFn` is called for.
+const DYNAMIC_STYLE_PROPERTIES = {
+  color: 1, 'background-color': 1, 'font-size': 1, 'font-family': 1,
 };
 
 // TODO: Move this out to a module.
@@ -143,109 +653,226 @@ const SPECIAL_ELEMENTS = {
   isindex: 1,
 };
 
+// Elements that are not blocks themselves but whose content is imported (or
+// that are only used for their attributes, like `<base>`), so nothing is lost
+// by not rendering them.
+const CONTAINER_ELEMENTS = {
+  base: 1, dir: 1, dl: 1, hgroup: 1, ol: 1, tbody: 1, tfoot: 1, thead: 1,
+  tr: 1, ul: 1,
+};
+
 // These elements are special because they cannot contain childNodes.
 const SELF_CLOSING_ELEMENTS = {img: 1};
 
 class BlockGenerator {
+  options: Options;
+  contentState: ContentState;
   blockStack: Array<ParsedBlock>;
   blockList: Array<ParsedBlock>;
+  tableStack: Array<TableContext>;
   depth: number;
   elementStyles: ElementStyles;
   customStyleMap: CustomStyleMap;
+  customCssMapToStyle: CustomCssMapToStyle;
+  cssStyleRules: {[property: string]: CssStyleRule};
+  // The property each dynamic style was generated for.
+  dynamicStyleProperties: {[style: Style]: DynamicStyleProperty};
+  checklistBlockType: ?string;
+  embedHosts: ?{[host: string]: boolean};
+  allowedUrlSchemes: Array<string>;
+  // What relative URLs are resolved against, if anything.
+  baseUrl: ?string;
+  entityConverters: {[tagName: string]: EntityConverter};
+  inlineCreators: InlineCreators;
+  // Tag names of the elements we are inside of, for warnings.
+  elementPath: Array<string>;
+  // The `white-space` of each of the elements we are inside of.
+  whiteSpaceStack: Array<WhiteSpace>;
+  definitionListBlockTypes: ?{term: string, description: string};
+  // The ids of the definition lists we are inside of.
+  definitionListIds: Array<string>;
+  // Most specific first, so the first that matches wins.
+  blockTypeRules: Array<BlockTypeRule>;
+  blockDepth: {[blockType: string]: BlockDepthRule};
 
-  constructor(options: Options = {}) {
+  constructor(options: Options = {}, contentState?: ContentState) {
     this.options = options;
+    // Entities are created through this content state, which is replaced
+    // each time one is added.
+    this.contentState = contentState || options.contentState || ContentState.createFromText('');
     this.elementStyles = options.elementStyles || {};
     this.customStyleMap = options.customStyleMap || {};
+    this.customCssMapToStyle = {};
+    // Convert react styles to css string values
+    Object.keys(this.customStyleMap).forEach((key) => {
+      this.customCssMapToStyle[normalizeStyle(styleToCssString(this.customStyleMap[key]))] = key;
+    });
+    this.cssStyleRules = getCssStyleRules(options.cssStyleRules);
+    this.dynamicStyleProperties = {};
+    this.allowedUrlSchemes = options.allowedUrlSchemes || ALLOWED_URL_SCHEMES;
+    this.baseUrl = options.baseUrl;
+    this.embedHosts = null;
+    if (options.embedHosts != null) {
+      let embedHosts = {};
+      options.embedHosts.forEach((host) => {
+        embedHosts[host.toLowerCase()] = true;
+      });
+      this.embedHosts = embedHosts;
+    }
+    this.checklistBlockType = (options.checklistBlockType === false) ?
+      null :
+      options.checklistBlockType || CHECKLIST_ITEM;
+    this.entityConverters = getEntityConverters(options.entityConverters);
     // This represents the hierarchy as we traverse nested elements; for
     // example [body, ul, li] where we must know li's parent type (ul or ol).
     this.blockStack = [];
     // This is a linear list of blocks that will form the output; for example
     // [p, li, li, blockquote].
     this.blockList = [];
+    // Tables we are inside of, when importing tables is enabled.
+    this.tableStack = [];
     this.depth = 0;
+    this.elementPath = [];
+    this.whiteSpaceStack = [options.whiteSpace || 'normal'];
+    this.definitionListBlockTypes = (options.definitionListBlockTypes === false) ?
+      null :
+      {...DEFINITION_LIST_BLOCK_TYPES, ...options.definitionListBlockTypes};
+    this.definitionListIds = [];
+    this.blockTypeRules = getBlockTypeRules(this.getDefaultBlockTypes(), options.blockTypes);
+    this.blockDepth = this.getBlockDepth(options.blockDepth);
+    this.inlineCreators = {
+      Style: (style) => ({type: 'STYLE', style}),
+      Entity: (type, data = {}, mutability = 'MUTABLE') => ({
+        type: 'ENTITY',
+        entityKey: this.createEntity(type, mutability, data),
+      }),
+    };
   }
 
   process(element: DOMElement): Array<ContentBlock> {
+    this.enterElement(element);
     this.processBlockElement(element);
+    this.exitElement();
     let contentBlocks = [];
+    // Keys from attributes are only used if they are unique, including among
+    // the blocks of the content state the blocks are for, if one was given.
+    let {contentState} = this.options;
+    let existingBlocks = contentState ? contentState.getBlockMap() : null;
+    let keyCounts = {};
+    this.blockList.forEach(({key}) => {
+      if (key) {
+        let count = keyCounts[key] || ((existingBlocks && existingBlocks.has(key)) ? 1 : 0);
+        keyCounts[key] = count + 1;
+      }
+    });
     this.blockList.forEach((block) => {
-      let {text, characterMeta} = concatFragments(block.textFragments);
+      let {text, characterMeta, preserved} = concatFragments(block.textFragments);
       let includeEmptyBlock = false;
-      // If the block contains only a soft break then don't discard the block,
-      // but discard the soft break.
-      if (text === SOFT_BREAK_PLACEHOLDER) {
+      if (block.isAtomic) {
         includeEmptyBlock = true;
-        text = '';
-      }
-      if (block.tagName === 'pre') {
-        ({text, characterMeta} = trimLeadingNewline(text, characterMeta));
       } else {
-        ({text, characterMeta} = collapseWhiteSpace(text, characterMeta));
+        // If the block contains only a soft break then don't discard the block,
+        // but discard the soft break.
+        if (text === SOFT_BREAK_PLACEHOLDER) {
+          includeEmptyBlock = true;
+          text = '';
+        }
+        let blockText = {text, characterMeta, preserved};
+        if (block.tagName === 'pre') {
+          blockText = trimLeadingNewline(blockText);
+        }
+        ({text, characterMeta} = collapseWhiteSpace(blockText));
+        // Previously we were using a placeholder for soft breaks. Now that we
+        // have collapsed whitespace we can change it back to normal line breaks.
+        text = text.split(SOFT_BREAK_PLACEHOLDER).join('\n');
       }
-      // Previously we were using a placeholder for soft breaks. Now that we
-      // have collapsed whitespace we can change it back to normal line breaks.
-      text = text.split(SOFT_BREAK_PLACEHOLDER).join('\n');
       // Discard empty blocks (unless otherwise specified).
-      if (text.length || includeEmptyBlock) {
+      if (!text.length && !includeEmptyBlock) {
+        return;
+      }
+      let lines = [{text, characterMeta}];
+      if (block.type === BLOCK_TYPE.CODE && this.options.codeBlockMode === 'perLine') {
+        lines = splitLines({text, characterMeta});
+      }
+      let data = block.data ? Map(block.data) : Map();
+      lines.forEach((line, i) => {
+        let {key} = block;
         contentBlocks.push(
           new ContentBlock({
-            key: genKey(),
-            text: text,
+            key: (key && keyCounts[key] === 1 && i === 0) ? key : genKey(),
+            text: line.text,
             type: block.type,
-            characterList: characterMeta.toList(),
+            characterList: List(line.characterMeta),
             depth: block.depth,
-            data: block.data ? Map(block.data) : Map(),
+            data,
           })
         );
-      }
+      });
     });
     if (contentBlocks.length) {
       return contentBlocks;
     } else {
-      return [EMPTY_BLOCK];
+      return [createEmptyBlock()];
     }
   }
 
-  getBlockTypeFromTagName(tagName: string): string {
-    switch (tagName) {
-      case 'li': {
-        let parent = this.blockStack.slice(-1)[0];
-        return (parent.tagName === 'ol') ?
-          BLOCK_TYPE.ORDERED_LIST_ITEM :
-          BLOCK_TYPE.UNORDERED_LIST_ITEM;
-      }
-      case 'blockquote': {
-        return BLOCK_TYPE.BLOCKQUOTE;
-      }
-      case 'h1': {
-        return BLOCK_TYPE.HEADER_ONE;
-      }
-      case 'h2': {
-        return BLOCK_TYPE.HEADER_TWO;
-      }
-      case 'h3': {
-        return BLOCK_TYPE.HEADER_THREE;
-      }
-      case 'h4': {
-        return BLOCK_TYPE.HEADER_FOUR;
-      }
-      case 'h5': {
-        return BLOCK_TYPE.HEADER_FIVE;
-      }
-      case 'h6': {
-        return BLOCK_TYPE.HEADER_SIX;
+  getDefaultBlockTypes(): BlockTypes {
+    let blockTypes = {...BLOCK_TYPES};
+    let definitionTypes = this.definitionListBlockTypes;
+    if (definitionTypes) {
+      blockTypes.dt = definitionTypes.term;
+      blockTypes.dd = definitionTypes.description;
+    }
+    return blockTypes;
+  }
+
+  getBlockDepth(overrides: ?BlockDepth): {[blockType: string]: BlockDepthRule} {
+    let blockDepth = {...BLOCK_DEPTH};
+    if (this.checklistBlockType) {
+      blockDepth[this.checklistBlockType] = 'nest';
+    }
+    let definitionTypes = this.definitionListBlockTypes;
+    if (definitionTypes) {
+      blockDepth[definitionTypes.term] = 'nest';
+      blockDepth[definitionTypes.description] = 'nest';
+    }
+    let result = {};
+    let merged = {...blockDepth, ...overrides};
+    Object.keys(merged).forEach((blockType) => {
+      let rule = merged[blockType];
+      if (rule) {
+        result[blockType] = rule;
       }
-      case 'pre': {
-        return BLOCK_TYPE.CODE;
+    });
+    return result;
+  }
+
+  // The block type of the first rule whose selector matches the element, where
+  // the blocks it is inside of count as its ancestors (so `ol > li` matches a
+  // list item directly inside an ordered list).
+  getBlockType(element: DOMElement): string {
+    let tagName = element.nodeName.toLowerCase();
+    let elements = null;
+    for (let {selector, type} of this.blockTypeRules) {
+      let {parts} = selector;
+      let lastTagName = parts[parts.length - 1].tagName;
+      if (lastTagName && lastTagName !== tagName) {
+        continue;
       }
-      case 'figure': {
-        return BLOCK_TYPE.ATOMIC;
+      if (elements == null) {
+        elements = [];
+        this.blockStack.forEach((block) => {
+          if (block.element) {
+            elements.push(block.element);
+          }
+        });
+        elements.push(element);
       }
-      default: {
-        return BLOCK_TYPE.UNSTYLED;
+      if (matchesSelector(selector, elements)) {
+        return type;
       }
     }
+    return BLOCK_TYPE.UNSTYLED;
   }
 
   processBlockElement(element: DOMElement) {
@@ -253,7 +880,32 @@ class BlockGenerator {
       return;
     }
     let tagName = element.nodeName.toLowerCase();
-    let {customBlockFn} = this.options;
+    let {customBlockFn, tableMode} = this.options;
+    if (tagName === 'table' && tableMode === 'atomic') {
+      this.processAtomicTable(element);
+      return;
+    }
+    // A figure with more than an image and a caption is imported as the
+    // blocks it holds, with its images as atomic blocks.
+    let isFigureContainer = false;
+    if (tagName === 'figure') {
+      if (this.processFigure(element)) {
+        return;
+      }
+      isFigureContainer = (findDescendant(element, 'img') != null);
+    }
+    if (tagName === 'hr' && this.options.dividerEntityType !== false) {
+      this.addDivider(this.options.dividerEntityType || DIVIDER_ENTITY);
+      return;
+    }
+    let table = (tableMode === 'cells') ? this.enterTableElement(tagName, element) : null;
+    let isDefinitionList = (tagName === 'dl' && this.definitionListBlockTypes != null);
+    if (isDefinitionList) {
+      this.definitionListIds.push(genKey());
+    }
+    let parent = this.blockStack[this.blockStack.length - 1];
+    // Blocks inside a term or description are part of it.
+    let inheritsDefinition = false;
     let type: ?string;
     let data: ?BlockData;
     if (customBlockFn) {
@@ -264,33 +916,383 @@ class BlockGenerator {
       }
     }
     if (!type) {
-      type = this.getBlockTypeFromTagName(tagName);
+      type = isFigureContainer ? BLOCK_TYPE.UNSTYLED : this.getBlockType(element);
+      if (table && table.cell && type === BLOCK_TYPE.UNSTYLED) {
+        type = TABLE_CELL;
+      }
+      let checked = (tagName === 'li' && this.checklistBlockType) ?
+        getTaskListItemChecked(element) :
+        null;
+      if (checked != null && this.checklistBlockType) {
+        type = this.checklistBlockType;
+        data = {...data, checked};
+      }
+      if (this.isDefinitionType(type)) {
+        let listId = this.definitionListIds[this.definitionListIds.length - 1];
+        if (listId != null) {
+          data = {...data, listId};
+        }
+      } else if (type === BLOCK_TYPE.UNSTYLED && parent && this.isDefinitionType(parent.type)) {
+        type = parent.type;
+        inheritsDefinition = true;
+        if (parent.data && parent.data.listId != null) {
+          data = {...data, listId: parent.data.listId};
+        }
+      }
+    }
+    if (table && table.cell) {
+      // Blocks inside a cell (including the cell itself) record its position.
+      data = {...table.cell, ...data};
+    }
+    if (type === BLOCK_TYPE.CODE) {
+      let language = getCodeLanguage(element);
+      if (language) {
+        data = {language, ...data};
+      }
     }
-    let hasDepth = canHaveDepth(type);
+    let {blockAttributes, blockKeyAttribute} = this.options;
+    let attributeKeys = null;
+    if (blockAttributes) {
+      let attributes = getBlockAttributes(element, Array.isArray(blockAttributes) ? blockAttributes : []);
+      let otherData = data || {};
+      attributeKeys = Object.keys(attributes).filter((name) => !otherData.hasOwnProperty(name));
+      if (attributeKeys.length) {
+        data = {...attributes, ...data};
+      }
+    }
+    let formatting = this.getBlockFormatting(element, parent ? parent.formatting : null);
+    if (Object.keys(formatting).length) {
+      data = {...formatting, ...data};
+    }
+    let depthRule = inheritsDefinition ? null : this.blockDepth[type];
+    let hasDepth = (depthRule != null);
     let allowRender = !SPECIAL_ELEMENTS.hasOwnProperty(tagName);
+    if (!allowRender && !CONTAINER_ELEMENTS.hasOwnProperty(tagName)) {
+      if (tagName !== 'table') {
+        this.warn({type: 'element', tagName, reason: 'Element is not supported'});
+      } else if (tableMode !== 'cells') {
+        this.warn({type: 'element', tagName, reason: 'Table cells are imported as paragraphs'});
+      }
+    }
     let block: ParsedBlock = {
       tagName: tagName,
       textFragments: [],
       type: type,
       styleStack: [NO_STYLE],
       entityStack: [NO_ENTITY],
-      depth: hasDepth ? this.depth : 0,
+      depth: hasDepth ? this.depth : (inheritsDefinition && parent) ? parent.depth : 0,
       data,
+      formatting,
+      key: blockKeyAttribute ? element.getAttribute(blockKeyAttribute) : null,
+      attributeKeys,
+      element,
     };
+    let isNested = (allowRender && depthRule === 'nest');
     if (allowRender) {
-      this.blockList.push(block);
-      if (hasDepth) {
-        this.depth += 1;
-      }
+      this.addBlock(block);
+    }
+    if (isNested) {
+      this.depth += 1;
     }
     this.blockStack.push(block);
     if (element.childNodes != null) {
-      Array.from(element.childNodes).forEach(this.processNode, this);
+      let childNodes = Array.from(element.childNodes);
+      if ((this.options.atomicImages || isFigureContainer) && childNodes.every(isStandaloneContent)) {
+        childNodes.forEach(this.processNodeWithAtomicImages, this);
+      } else {
+        childNodes.forEach(this.processNode, this);
+      }
     }
     this.blockStack.pop();
-    if (allowRender && hasDepth) {
+    if (isNested) {
       this.depth -= 1;
     }
+    if (table) {
+      this.exitTableElement(tagName, table);
+    }
+    if (isDefinitionList) {
+      this.definitionListIds.pop();
+    }
+  }
+
+  isDefinitionType(type: string): boolean {
+    let types = this.definitionListBlockTypes;
+    return types != null && (type === types.term || type === types.description);
+  }
+
+  // Text alignment, direction and language are inherited, so a block gets
+  // those of its ancestors unless it has its own.
+  getBlockFormatting(element: DOMElement, inherited: ?BlockFormatting): BlockFormatting {
+    let enabled = this.options.blockFormatting;
+    if (enabled === false) {
+      return {};
+    }
+    let isEnabled = (key) => enabled == null || enabled === true || enabled[key] !== false;
+    let formatting = {...inherited};
+    let align = element.getAttribute('align');
+    let dir = element.getAttribute('dir');
+    let lang = element.getAttribute('lang');
+    if (align && TEXT_ALIGN_VALUES.hasOwnProperty(align.toLowerCase())) {
+      formatting.textAlign = align.toLowerCase();
+    }
+    if (dir && DIR_VALUES.hasOwnProperty(dir.toLowerCase())) {
+      formatting.dir = dir.toLowerCase();
+    }
+    if (lang != null) {
+      // An empty `lang` means the language is unknown.
+      if (lang) {
+        formatting.lang = lang;
+      } else {
+        delete formatting.lang;
+      }
+    }
+    // CSS takes precedence over the presentational attributes.
+    let styleAttribute = element.getAttribute('style');
+    if (styleAttribute) {
+      for (let [property, value] of parseStyleAttribute(styleAttribute)) {
+        value = value.toLowerCase();
+        if (property === 'text-align' && TEXT_ALIGN_VALUES.hasOwnProperty(value)) {
+          formatting.textAlign = value;
+        } else if (property === 'direction' && (value === 'ltr' || value === 'rtl')) {
+          formatting.dir = value;
+        }
+      }
+    }
+    Object.keys(formatting).forEach((key) => {
+      if (!isEnabled(key)) {
+        delete formatting[key];
+      }
+    });
+    return formatting;
+  }
+
+  // Update the table state when entering a table, row or cell element and
+  // return the current table context, if there is one.
+  enterTableElement(tagName: string, element: DOMElement): ?TableContext {
+    if (tagName === 'table') {
+      let table = {id: genKey(), row: -1, grid: [], cell: null};
+      this.tableStack.push(table);
+      return table;
+    }
+    let table = this.tableStack[this.tableStack.length - 1];
+    if (table == null) {
+      return null;
+    }
+    if (tagName === 'tr') {
+      table.row += 1;
+    } else if (tagName === 'td' || tagName === 'th') {
+      let row = Math.max(table.row, 0);
+      let colSpan = getSpan(element.getAttribute('colspan'));
+      let rowSpan = getSpan(element.getAttribute('rowspan'));
+      let cells = table.grid[row] || (table.grid[row] = []);
+      let column = 0;
+      while (cells[column]) {
+        column += 1;
+      }
+      for (let i = row; i < row + rowSpan; i++) {
+        let rowCells = table.grid[i] || (table.grid[i] = []);
+        for (let j = column; j < column + colSpan; j++) {
+          rowCells[j] = true;
+        }
+      }
+      table.cell = {
+        tableId: table.id,
+        row,
+        column,
+        header: (tagName === 'th'),
+        colSpan,
+        rowSpan,
+      };
+    }
+    return table;
+  }
+
+  exitTableElement(tagName: string, table: TableContext) {
+    if (tagName === 'table') {
+      this.tableStack.pop();
+    } else if (tagName === 'td' || tagName === 'th') {
+      table.cell = null;
+    }
+  }
+
+  // Import a whole table as one atomic block. The cells are imported as
+  // blocks first and then collected into the data of a table entity.
+  processAtomicTable(element: DOMElement) {
+    let generator = this.createNestedGenerator(
+      {...this.options, tableMode: 'cells'},
+      this.elementPath.slice(0, -1),
+    );
+    let rows = [];
+    let cellBlocks = generator.process(element);
+    this.contentState = generator.contentState;
+    cellBlocks.forEach((contentBlock) => {
+      let data = contentBlock.getData();
+      if (!data.has('tableId')) {
+        return;
+      }
+      let row = data.get('row');
+      let column = data.get('column');
+      let cells = rows[row] || (rows[row] = []);
+      let cell = cells.find((cell) => cell.column === column);
+      if (cell) {
+        // A cell with several blocks in it.
+        cell.text += '\n' + contentBlock.getText();
+      } else {
+        cells.push({
+          text: contentBlock.getText(),
+          column,
+          header: data.get('header'),
+          colSpan: data.get('colSpan'),
+          rowSpan: data.get('rowSpan'),
+        });
+      }
+    });
+    // Rows with no content in any cell leave holes; keep them as empty rows.
+    rows = Array.from(rows, (cells) => cells || []);
+    let entityKey = this.createEntity(TABLE_ENTITY, 'IMMUTABLE', {rows});
+    this.addAtomicBlock(entityKey);
+  }
+
+  // A generator for importing the current element, or part of it, on its
+  // own. It creates entities in our content state, and its warnings have
+  // paths starting with `parentPath` (the path of the parent of the element
+  // it processes).
+  createNestedGenerator(options: Options, parentPath: Array<string>): BlockGenerator {
+    let generator = new BlockGenerator(options, this.contentState);
+    generator.elementPath = parentPath.slice();
+    generator.baseUrl = this.baseUrl;
+    generator.whiteSpaceStack = [this.getWhiteSpace()];
+    return generator;
+  }
+
+  // Keep track of the element we are entering, for warnings and to know the
+  // `white-space` of its text.
+  enterElement(element: DOMElement) {
+    this.elementPath.push(element.nodeName.toLowerCase());
+    this.whiteSpaceStack.push(this.getElementWhiteSpace(element) || this.getWhiteSpace());
+  }
+
+  exitElement() {
+    this.elementPath.pop();
+    this.whiteSpaceStack.pop();
+  }
+
+  getWhiteSpace(): WhiteSpace {
+    return this.whiteSpaceStack[this.whiteSpaceStack.length - 1];
+  }
+
+  // The `white-space` an element sets, from its `style` attribute, its classes
+  // or its tag name, or nothing if it inherits it.
+  getElementWhiteSpace(element: DOMElement): ?WhiteSpace {
+    if (this.options.whiteSpace) {
+      return null;
+    }
+    let whiteSpace = null;
+    let styleAttribute = element.getAttribute('style');
+    if (styleAttribute) {
+      for (let [property, value] of parseStyleAttribute(styleAttribute)) {
+        if (property === 'white-space' && WHITE_SPACE_VALUES.hasOwnProperty(value.toLowerCase())) {
+          whiteSpace = value.toLowerCase();
+        }
+      }
+    }
+    let {whiteSpaceClasses} = this.options;
+    let className = element.getAttribute('class');
+    if (whiteSpace == null && whiteSpaceClasses && className) {
+      let match = className.split(/\s+/).find((name) => whiteSpaceClasses.hasOwnProperty(name));
+      whiteSpace = match ? whiteSpaceClasses[match] : null;
+    }
+    if (whiteSpace == null) {
+      let tagName = element.nodeName.toLowerCase();
+      whiteSpace = WHITE_SPACE_ELEMENTS.hasOwnProperty(tagName) ? WHITE_SPACE_ELEMENTS[tagName] : null;
+    }
+    return whiteSpace;
+  }
+
+  warn(warning: {type: ImportWarningType, tagName: string, name?: string, value?: string, reason: string}) {
+    let {onWarning} = this.options;
+    if (onWarning) {
+      onWarning({...warning, path: this.elementPath.join(' > ')});
+    }
+  }
+
+  // Add a block to the output. The blocks we are inside of were output before
+  // it, so they are now interrupted.
+  addBlock(block: ParsedBlock) {
+    this.blockStack.forEach((parent) => {
+      parent.isInterrupted = true;
+    });
+    this.blockList.push(block);
+  }
+
+  // Get the block that inline content goes into. If that block was
+  // interrupted by a child block, inline content after the child goes into a
+  // new block of the same kind, the way browsers create anonymous block boxes,
+  // so that `<div>a<p>b</p>c</div>` gives the blocks "a", "b" and "c".
+  getCurrentBlock(): ParsedBlock {
+    let index = this.blockStack.length - 1;
+    let block = this.blockStack[index];
+    if (block.isInterrupted) {
+      // The continuation shares the style and entity stacks so that inline
+      // elements spanning the child block still apply after it. The key and
+      // the data from attributes, if any, stay with the first block.
+      let {attributeKeys} = block;
+      let data = block.data ? {...block.data} : null;
+      if (data && attributeKeys) {
+        attributeKeys.forEach((name) => {
+          delete data[name];
+        });
+      }
+      block = {...block, data, textFragments: [], isInterrupted: false, key: null, attributeKeys: null};
+      if (block.tagName === 'li') {
+        // Like the anonymous block box a browser creates, the continuation of
+        // a list item has no marker (or checkbox) of its own.
+        if (data) {
+          delete data.checked;
+        }
+        block.type = BLOCK_TYPE.UNSTYLED;
+      }
+      this.blockStack[index] = block;
+      if (!SPECIAL_ELEMENTS.hasOwnProperty(block.tagName)) {
+        // Only its ancestors are interrupted by the continuation, not the
+        // continuation itself.
+        this.blockStack.slice(0, index).forEach((parent) => {
+          parent.isInterrupted = true;
+        });
+        this.blockList.push(block);
+      }
+    }
+    return block;
+  }
+
+  addAtomicBlock(entityKey: string, data?: BlockData, type?: string = BLOCK_TYPE.ATOMIC) {
+    let charMetadata = CharacterMetadata.create({
+      style: NO_STYLE,
+      entity: entityKey,
+    });
+    this.addBlock({
+      tagName: '',
+      textFragments: [{
+        text: ATOMIC_PLACEHOLDER,
+        characterMeta: Repeat(charMetadata, ATOMIC_PLACEHOLDER.length),
+      }],
+      type,
+      styleStack: [NO_STYLE],
+      entityStack: [entityKey],
+      depth: 0,
+      data,
+      isAtomic: true,
+    });
+  }
+
+  // Add an atomic block with an entity of the given type and no data.
+  addDivider(entityType: string) {
+    let entityKey = this.createEntity(entityType, 'IMMUTABLE', {});
+    this.addAtomicBlock(entityKey, undefined, this.options.dividerBlockType || BLOCK_TYPE.ATOMIC);
+  }
+
+  addPageBreak() {
+    this.addDivider(this.options.pageBreakEntityType || PAGE_BREAK_ENTITY);
   }
 
   processInlineElement(element: DOMElement) {
@@ -302,27 +1304,41 @@ class BlockGenerator {
     let block = this.blockStack.slice(-1)[0];
     let style = block.styleStack.slice(-1)[0];
     let entityKey = block.entityStack.slice(-1)[0];
+    let allowStyles = block.type !== BLOCK_TYPE.CODE || this.options.codeBlockInlineStyles;
+    let parentStyle = style;
     style = addStyleFromTagName(style, tagName, this.elementStyles);
+    if (tagName === 'font') {
+      style = this.addStylesFromFontElement(style, element);
+    }
     let styleAttribute = element.getAttribute('style');
-    if (styleAttribute) {
-      const customCssMapToStyle = {};
-      const normalizeStyle = str => str.replace(/ /g, '').replace(/;/g, '');
-
-      // Convert react styles to css string values
-      Object.keys(this.customStyleMap).forEach((key) => {
-        customCssMapToStyle[normalizeStyle(styleToCssString(this.customStyleMap[key]))] = key;
-      });
-      
-      for (let styleValue of styleAttribute.split(';')) {
-        const styleAttr = normalizeStyle(styleValue);
-        if (styleAttr) {
-          style = addStyleFromStyleAttribute(style, styleAttr, customCssMapToStyle);
+    if (styleAttribute && allowStyles) {
+      style = this.addStylesFromStyleAttribute(style, styleAttribute, element);
+    }
+    let customEntityKey = null;
+    let {customInlineFn} = this.options;
+    if (customInlineFn) {
+      let customInline = customInlineFn(element, this.inlineCreators);
+      // Allow a single style or entity, or a list of them.
+      let customInlines = Array.isArray(customInline) ? customInline : [customInline];
+      for (let item of customInlines) {
+        if (item == null) {
+          continue;
+        }
+        if (item.type === 'STYLE') {
+          style = style.add(item.style);
+        } else if (item.type === 'ENTITY') {
+          customEntityKey = item.entityKey;
         }
       }
     }
-    if (ELEM_TO_ENTITY.hasOwnProperty(tagName)) {
-      // If the to-entity function returns nothing, use the existing entity.
-      entityKey = ELEM_TO_ENTITY[tagName](tagName, element) || entityKey;
+    if (!allowStyles) {
+      style = parentStyle;
+    }
+    if (customEntityKey != null) {
+      entityKey = customEntityKey;
+    } else {
+      // If the element is not converted to an entity, use the existing entity.
+      entityKey = this.createEntityFromElement(tagName, element) || entityKey;
     }
     block.styleStack.push(style);
     block.entityStack.push(entityKey);
@@ -336,6 +1352,228 @@ class BlockGenerator {
     block.styleStack.pop();
   }
 
+  addStylesFromStyleAttribute(style: StyleSet, styleAttribute: string, element: DOMElement): StyleSet {
+    for (let [property, value] of parseStyleAttribute(styleAttribute)) {
+      let cssStyle = normalizeStyle(property + ':' + value);
+      let isMatched = this.customCssMapToStyle.hasOwnProperty(cssStyle);
+      style = addStyleFromStyleAttribute(style, cssStyle, this.customCssMapToStyle);
+      if (this.cssStyleRules.hasOwnProperty(property)) {
+        let result = this.cssStyleRules[property](value, element);
+        if (result != null) {
+          style = applyCssStyleRuleResult(style, result);
+          isMatched = true;
+        }
+      }
+      if (property === 'white-space' && WHITE_SPACE_VALUES.hasOwnProperty(value.toLowerCase())) {
+        // Handled along with the element's other whitespace settings.
+        isMatched = true;
+      }
+      let dynamicProperty = (property === 'background') ?
+        // Only a shorthand made of just a color is supported.
+        'background-color' :
+        DYNAMIC_STYLE_PROPERTIES.hasOwnProperty(property) ? property : null;
+      if (dynamicProperty != null) {
+        let styleName = this.getDynamicStyleName(dynamicProperty, value);
+        if (styleName != null) {
+          style = this.applyDynamicStyle(style, dynamicProperty, styleName);
+          isMatched = true;
+        }
+      }
+      if (!isMatched) {
+        this.warn({
+          type: 'style',
+          tagName: element.nodeName.toLowerCase(),
+          name: property,
+          value,
+          reason: 'No inline style for this declaration',
+        });
+      }
+    }
+    return style;
+  }
+
+  // The presentational attributes of `<font>` work like the CSS properties.
+  addStylesFromFontElement(style: StyleSet, element: DOMElement): StyleSet {
+    let color = element.getAttribute('color');
+    if (color) {
+      style = this.addDynamicStyle(style, 'color', color);
+    }
+    let size = getFontSize(element.getAttribute('size'));
+    if (size) {
+      style = this.addDynamicStyle(style, 'font-size', size);
+    }
+    let face = element.getAttribute('face');
+    if (face) {
+      style = this.addDynamicStyle(style, 'font-family', face);
+    }
+    return style;
+  }
+
+  addDynamicStyle(style: StyleSet, property: DynamicStyleProperty, value: string): StyleSet {
+    let styleName = this.getDynamicStyleName(property, value);
+    return (styleName == null) ? style : this.applyDynamicStyle(style, property, styleName);
+  }
+
+  getDynamicStyleName(property: DynamicStyleProperty, value: string): ?Style {
+    let {dynamicStyleFn} = this.options;
+    if (!dynamicStyleFn) {
+      return null;
+    }
+    let normalizedValue = normalizeDynamicStyleValue(property, value);
+    let styleName = (normalizedValue == null) ? null : dynamicStyleFn(property, normalizedValue);
+    return styleName || null;
+  }
+
+  applyDynamicStyle(style: StyleSet, property: DynamicStyleProperty, styleName: Style): StyleSet {
+    // A value from a nested element replaces the inherited one.
+    style = style.filter((name) => this.dynamicStyleProperties[name] !== property);
+    this.dynamicStyleProperties[styleName] = property;
+    return style.add(styleName);
+  }
+
+  createEntityFromElement(tagName: string, element: DOMElement): ?string {
+    let data = this.getConvertedEntityData(tagName, element);
+    if (data == null) {
+      return null;
+    }
+    let converter = this.entityConverters[tagName];
+    return this.createEntity(converter.type, converter.mutability || 'MUTABLE', data);
+  }
+
+  // Create an entity and return its key. Versions of Draft before 0.10 only
+  // have the global entity store.
+  createEntity(type: string, mutability: EntityMutability, data: EntityData): string {
+    let {contentState} = this;
+    if (typeof contentState.createEntity !== 'function') {
+      return Entity.create(type, mutability, data);
+    }
+    this.contentState = contentState.createEntity(type, mutability, data);
+    return this.contentState.getLastCreatedEntityKey();
+  }
+
+  // The entity data for an element, or nothing if it has no converter or the
+  // converter rejects it.
+  getConvertedEntityData(tagName: string, element: DOMElement): ?EntityData {
+    if (!this.entityConverters.hasOwnProperty(tagName)) {
+      return null;
+    }
+    let converter = this.entityConverters[tagName];
+    let data = getEntityData(converter, element, (name, value) => {
+      let reason = EVENT_ATTRIBUTE.test(name) ?
+        'Event handler attributes are never kept' :
+        'Attribute is not kept in the entity data';
+      this.warn({type: 'attribute', tagName, name, value, reason});
+    });
+    if (data == null) {
+      this.warn({type: 'entity', tagName, reason: 'Rejected by the entity converter'});
+      return null;
+    }
+    for (let key of converter.urlFields || URL_FIELDS) {
+      let value = data[key];
+      if (typeof value !== 'string') {
+        continue;
+      }
+      let url = this.getUrl(value, tagName, getAttributeName(converter, key));
+      if (url == null) {
+        this.warn({type: 'url', tagName, name: key, value, reason: 'Removed by urlTransform'});
+      } else if (!isAllowedUrl(url, this.allowedUrlSchemes)) {
+        this.warn({type: 'url', tagName, name: key, value, reason: 'URL scheme is not allowed'});
+        url = null;
+      }
+      if (url !== value) {
+        data = {...data};
+        if (url == null) {
+          delete data[key];
+        } else {
+          data[key] = url;
+        }
+      }
+    }
+    let required = converter.required || [];
+    for (let key of required) {
+      if (data[key] == null) {
+        this.warn({type: 'entity', tagName, reason: `Missing required entity data "${key}"`});
+        return null;
+      }
+    }
+    if (converter.type === EMBED_ENTITY && !this.isAllowedEmbed(data.src)) {
+      this.warn({type: 'entity', tagName, reason: 'Embedded content is not from an allowed host'});
+      return null;
+    }
+    return data;
+  }
+
+  // Resolve a URL from entity data against the base URL and pass it through
+  // `urlTransform`.
+  getUrl(url: string, tagName: string, attribute: string): ?string {
+    if (this.baseUrl != null) {
+      url = resolveUrl(this.baseUrl, url);
+    }
+    let {urlTransform} = this.options;
+    if (urlTransform) {
+      return urlTransform(url, {tagName, attribute}) || null;
+    }
+    return url;
+  }
+
+  // A figure with an image becomes one atomic block whose entity has the
+  // image data plus the text and inline styles of the caption. Returns false
+  // if there is no image we can use, leaving the figure to be processed as a
+  // regular block.
+  processFigure(element: DOMElement): boolean {
+    let parts = getFigureParts(element);
+    let data = null;
+    if (parts != null) {
+      this.elementPath.push('img');
+      data = this.getConvertedEntityData('img', parts.image);
+      this.elementPath.pop();
+    }
+    if (parts == null || data == null) {
+      return false;
+    }
+    let {figcaption} = parts;
+    if (figcaption != null) {
+      let generator = this.createNestedGenerator(this.options, this.elementPath);
+      let captionBlocks = generator.process(figcaption);
+      this.contentState = generator.contentState;
+      let caption = '';
+      let captionStyleRanges = [];
+      captionBlocks.forEach((captionBlock, i) => {
+        if (i > 0) {
+          caption += '\n';
+        }
+        getInlineStyleRanges(captionBlock).forEach((range) => {
+          captionStyleRanges.push({...range, offset: caption.length + range.offset});
+        });
+        caption += captionBlock.getText();
+      });
+      data = {...data, caption, captionStyleRanges};
+    }
+    let converter = this.entityConverters.img;
+    let entityKey = this.createEntity(converter.type, converter.mutability || 'MUTABLE', data);
+    this.addAtomicBlock(entityKey);
+    return true;
+  }
+
+  isAllowedEmbed(src: mixed): boolean {
+    let {embedHosts} = this;
+    if (embedHosts == null) {
+      return true;
+    }
+    let host = (typeof src === 'string') ? getUrlHost(src) : null;
+    return host != null && matchHost(host, embedHosts) === true;
+  }
+
+  // Elements such as `<video>` become an atomic block holding their entity;
+  // if no entity can be created for one, it is dropped along with its
+  // fallback content.
+  processAtomicEntityElement(tagName: string, element: DOMElement) {
+    let entityKey = this.createEntityFromElement(tagName, element);
+    if (entityKey != null) {
+      this.addAtomicBlock(entityKey);
+    }
+  }
+
   processTextNode(node: DOMNode) {
     let text = node.nodeValue;
     // This is important because we will use \r as a placeholder for a soft break.
@@ -345,11 +1583,16 @@ class BlockGenerator {
     // TODO: The import-markdown package should correctly turn breaks into <br>
     // elements so we don't need to include this hack.
     text = text.split(ZERO_WIDTH_SPACE).join(SOFT_BREAK_PLACEHOLDER);
+    if (this.getWhiteSpace() === 'pre-line') {
+      // Line breaks are kept but the spaces around them are not, which is
+      // how soft breaks are handled.
+      text = text.split('\n').join(SOFT_BREAK_PLACEHOLDER);
+    }
     this.processText(text);
   }
 
   processText(text: string) {
-    let block = this.blockStack.slice(-1)[0];
+    let block = this.getCurrentBlock();
     let style = block.styleStack.slice(-1)[0];
     let entity = block.entityStack.slice(-1)[0];
     let charMetadata = CharacterMetadata.create({
@@ -357,97 +1600,340 @@ class BlockGenerator {
       entity: entity,
     });
     let seq: CharacterMetaSeq = Repeat(charMetadata, text.length);
+    let whiteSpace = this.getWhiteSpace();
     block.textFragments.push({
       text: text,
       characterMeta: seq,
+      preserveWhiteSpace: whiteSpace === 'pre' || whiteSpace === 'pre-wrap' || whiteSpace === 'break-spaces',
     });
   }
 
+  processNodeWithAtomicImages(node: DOMNode) {
+    if (node.nodeType === NODE_TYPE_ELEMENT && node.nodeName.toLowerCase() === 'img') {
+      this.elementPath.push('img');
+      let entityKey = this.createEntityFromElement('img', node);
+      this.elementPath.pop();
+      if (entityKey != null) {
+        this.addAtomicBlock(entityKey);
+        return;
+      }
+    }
+    this.processNode(node);
+  }
+
   processNode(node: DOMNode) {
     if (node.nodeType === NODE_TYPE_ELEMENT) {
       let element: DOMElement = node;
       let tagName = element.nodeName.toLowerCase();
-      if (INLINE_ELEMENTS.hasOwnProperty(tagName)) {
+      let converter = this.entityConverters.hasOwnProperty(tagName) ?
+        this.entityConverters[tagName] :
+        null;
+      let pageBreaks = this.options.pageBreaks ? getPageBreaks(element) : null;
+      if (pageBreaks && tagName === 'br') {
+        // A line break that is only there to break the page (as in Word
+        // exports) is replaced by the page break.
+        this.addPageBreak();
+        return;
+      }
+      if (pageBreaks && pageBreaks.before) {
+        this.addPageBreak();
+      }
+      this.enterElement(element);
+      if (DISCARDED_ELEMENTS.hasOwnProperty(tagName)) {
+        this.warn({type: 'element', tagName, reason: 'Content is discarded'});
+      } else if (converter && converter.atomic) {
+        this.processAtomicEntityElement(tagName, element);
+      } else if (INLINE_ELEMENTS.hasOwnProperty(tagName)) {
         this.processInlineElement(element);
       } else {
         this.processBlockElement(element);
       }
+      this.exitElement();
+      if (pageBreaks && pageBreaks.after) {
+        this.addPageBreak();
+      }
     } else if (node.nodeType === NODE_TYPE_TEXT) {
       this.processTextNode(node);
     }
   }
 }
 
-function trimLeadingNewline(text: string, characterMeta: CharacterMetaSeq): TextFragment {
-  if (text.charAt(0) === '\n') {
-    text = text.slice(1);
-    characterMeta = characterMeta.slice(1);
+// Whether an element's style has a page break before or after it.
+function getPageBreaks(element: DOMElement): ?{before: boolean, after: boolean} {
+  let styleAttribute = element.getAttribute('style');
+  if (!styleAttribute) {
+    return null;
   }
-  return {text, characterMeta};
+  let before = false;
+  let after = false;
+  for (let [property, value] of parseStyleAttribute(styleAttribute)) {
+    if (PAGE_BREAK_VALUES.hasOwnProperty(value.toLowerCase())) {
+      if (property === 'page-break-before' || property === 'break-before') {
+        before = true;
+      } else if (property === 'page-break-after' || property === 'break-after') {
+        after = true;
+      }
+    }
+  }
+  return (before || after) ? {before, after} : null;
 }
 
-function trimLeadingSpace(text: string, characterMeta: CharacterMetaSeq): TextFragment {
-  while (text.charAt(0) === ' ') {
-    text = text.slice(1);
-    characterMeta = characterMeta.slice(1);
+// The `id`, `data-*` and other given attributes of a block element.
+function getBlockAttributes(element: DOMElement, names: Array<string>): BlockData {
+  let attributes = {};
+  for (let [name, value] of getAttributes(element)) {
+    if (value != null && (name === 'id' || DATA_ATTRIBUTE.test(name) || names.indexOf(name) !== -1)) {
+      attributes[name] = value;
+    }
   }
-  return {text, characterMeta};
+  return attributes;
 }
 
-function trimTrailingSpace(text: string, characterMeta: CharacterMetaSeq): TextFragment {
-  while (text.slice(-1) === ' ') {
-    text = text.slice(0, -1);
-    characterMeta = characterMeta.slice(0, -1);
+const CODE_LANGUAGE_CLASS = /^(?:language|lang)-(.+)$/;
+
+// The language of a code block, given by `data-lang` or a `language-*` or
+// `lang-*` class on the block or the `<code>` element in it, as done by
+// Markdown renderers and syntax highlighters.
+function getCodeLanguage(element: DOMElement): ?string {
+  let code = Array.from(element.childNodes || []).find((node) => (
+    node.nodeType === NODE_TYPE_ELEMENT && node.nodeName.toLowerCase() === 'code'
+  ));
+  for (let candidate of code ? [element, code] : [element]) {
+    let language = candidate.getAttribute('data-lang') || candidate.getAttribute('data-language');
+    if (language) {
+      return language;
+    }
+    let className = candidate.getAttribute('class') || '';
+    for (let name of className.split(/\s+/)) {
+      let match = CODE_LANGUAGE_CLASS.exec(name);
+      if (match) {
+        return match[1];
+      }
+    }
   }
-  return {text, characterMeta};
+  return null;
 }
 
-function collapseWhiteSpace(text: string, characterMeta: CharacterMetaSeq): TextFragment {
-  text = text.replace(/[ \t\n]/g, ' ');
-  ({text, characterMeta} = trimLeadingSpace(text, characterMeta));
-  ({text, characterMeta} = trimTrailingSpace(text, characterMeta));
-  let i = text.length;
-  while (i--) {
-    if (text.charAt(i) === ' ' && text.charAt(i - 1) === ' ') {
-      text = text.slice(0, i) + text.slice(i + 1);
-      characterMeta = characterMeta.slice(0, i)
-        .concat(characterMeta.slice(i + 1));
+// Whether a list item is a checked or unchecked task, or null if it's an
+// ordinary list item. Task items are marked with `data-checked`, the
+// `task-list-item` class or by starting with a checkbox.
+function getTaskListItemChecked(element: DOMElement): ?boolean {
+  let dataChecked = element.getAttribute('data-checked');
+  if (dataChecked != null) {
+    return dataChecked !== 'false';
+  }
+  let checkbox = getLeadingCheckbox(element);
+  if (checkbox != null) {
+    return checkbox.getAttribute('checked') != null;
+  }
+  let className = element.getAttribute('class');
+  if (className && TASK_LIST_ITEM_CLASS.test(className)) {
+    return false;
+  }
+  return null;
+}
+
+// Find a checkbox at the start of an element's content, which may be inside
+// a leading wrapper such as a `<label>`.
+function getLeadingCheckbox(element: DOMElement): ?DOMElement {
+  let childNodes = Array.from(element.childNodes || []);
+  for (let node of childNodes) {
+    if (node.nodeType === NODE_TYPE_TEXT) {
+      if (node.nodeValue.trim()) {
+        return null;
+      }
+    } else if (node.nodeType === NODE_TYPE_ELEMENT) {
+      let child: DOMElement = node;
+      let tagName = child.nodeName.toLowerCase();
+      let type = child.getAttribute('type');
+      let isCheckbox = (tagName === 'input' && type != null && type.toLowerCase() === 'checkbox');
+      if (isCheckbox) {
+        return child;
+      }
+      return CHECKBOX_WRAPPERS.hasOwnProperty(tagName) ? getLeadingCheckbox(child) : null;
     }
   }
-  // There could still be one space on either side of a softbreak.
-  ({text, characterMeta} = replaceTextWithMeta(
-    {text, characterMeta},
-    SOFT_BREAK_PLACEHOLDER + ' ',
-    SOFT_BREAK_PLACEHOLDER,
-  ));
-  ({text, characterMeta} = replaceTextWithMeta(
-    {text, characterMeta},
-    ' ' + SOFT_BREAK_PLACEHOLDER,
-    SOFT_BREAK_PLACEHOLDER,
-  ));
-  return {text, characterMeta};
+  return null;
+}
+
+// Whether a node can be next to an image without the image being part of a
+// line of text: whitespace, block elements and other images.
+function isStandaloneContent(node: DOMNode): boolean {
+  if (node.nodeType === NODE_TYPE_TEXT) {
+    return !node.nodeValue.trim();
+  }
+  if (node.nodeType === NODE_TYPE_ELEMENT) {
+    let tagName = node.nodeName.toLowerCase();
+    return tagName === 'img' || !INLINE_ELEMENTS.hasOwnProperty(tagName);
+  }
+  return true;
 }
 
-function canHaveDepth(blockType: string): boolean {
-  switch (blockType) {
-    case BLOCK_TYPE.UNORDERED_LIST_ITEM:
-    case BLOCK_TYPE.ORDERED_LIST_ITEM: {
+// The image and caption of a figure that holds just one image (which may be
+// wrapped, as in a link or a `<picture>`) and at most one `<figcaption>`.
+function getFigureParts(element: DOMElement): ?{image: DOMElement, figcaption: ?DOMElement} {
+  let images = [];
+  let isImageOnly = (node) => {
+    if (node.nodeType === NODE_TYPE_TEXT) {
+      return !node.nodeValue.trim();
+    }
+    if (node.nodeType !== NODE_TYPE_ELEMENT) {
       return true;
     }
-    default: {
-      return false;
+    let tagName = node.nodeName.toLowerCase();
+    if (tagName === 'img') {
+      images.push(node);
+      return true;
+    }
+    return Array.from(node.childNodes || []).every(isImageOnly);
+  };
+  let figcaption = null;
+  for (let node of Array.from(element.childNodes || [])) {
+    let isCaption = node.nodeType === NODE_TYPE_ELEMENT && node.nodeName.toLowerCase() === 'figcaption';
+    if (isCaption && figcaption == null && findDescendant(node, 'img') == null) {
+      figcaption = node;
+    } else if (!isImageOnly(node)) {
+      return null;
+    }
+  }
+  return (images.length === 1) ? {image: images[0], figcaption} : null;
+}
+
+// The `<base>` of the content: one inside the element, or when importing the
+// body of a DOM document, the one in its head.
+function findBaseElement(element: DOMElement): ?DOMElement {
+  let base = findDescendant(element, 'base');
+  let document = element.ownerDocument;
+  if (base == null && document != null && document.body === element && document.head != null) {
+    base = findDescendant(document.head, 'base');
+  }
+  return base;
+}
+
+function findDescendant(element: DOMElement, tagName: string): ?DOMElement {
+  for (let node of Array.from(element.childNodes || [])) {
+    if (node.nodeType === NODE_TYPE_ELEMENT) {
+      if (node.nodeName.toLowerCase() === tagName) {
+        return node;
+      }
+      let descendant = findDescendant(node, tagName);
+      if (descendant != null) {
+        return descendant;
+      }
+    }
+  }
+  return null;
+}
+
+type InlineStyleRange = {offset: number; length: number; style: Style};
+
+function getInlineStyleRanges(block: ContentBlock): Array<InlineStyleRange> {
+  let styles = block.getCharacterList()
+    .reduce((result, char) => result.union(char.getStyle()), OrderedSet());
+  let ranges = [];
+  styles.forEach((style) => {
+    block.findStyleRanges(
+      (char) => char.hasStyle(style),
+      (start, end) => {
+        ranges.push({offset: start, length: end - start, style});
+      },
+    );
+  });
+  return ranges;
+}
+
+function getSpan(value: ?string): number {
+  let span = parseInt(value, 10);
+  return (span > 0) ? span : 1;
+}
+
+function trimLeadingNewline(blockText: BlockText): BlockText {
+  let {text, characterMeta, preserved} = blockText;
+  if (text.charAt(0) === '\n') {
+    text = text.slice(1);
+    characterMeta = characterMeta.slice(1);
+    preserved = preserved ? preserved.slice(1) : preserved;
+  }
+  return {text, characterMeta, preserved};
+}
+
+const isWhiteSpace = (char: string): boolean => (
+  char === ' ' || char === '\t' || char === '\n'
+);
+
+// Collapse each run of whitespace to a single space, and remove it altogether
+// at the start and end of the text and next to a soft break. The space keeps
+// the metadata of the first character of the run. Preserved whitespace is
+// kept like any other character. This is done in a single pass so that it
+// takes linear time however much whitespace there is.
+function collapseWhiteSpace(blockText: BlockText): BlockText {
+  let {text, characterMeta, preserved} = blockText;
+  let resultText = [];
+  let resultMeta = [];
+  // The start of the run of whitespace before the current character.
+  let spaceIndex = -1;
+  for (let i = 0; i < text.length; i++) {
+    let char = text.charAt(i);
+    if (isWhiteSpace(char) && !(preserved && preserved[i])) {
+      if (spaceIndex === -1) {
+        spaceIndex = i;
+      }
+      continue;
+    }
+    let prevChar = resultText.length ? resultText[resultText.length - 1] : null;
+    if (spaceIndex !== -1 && prevChar != null && prevChar !== SOFT_BREAK_PLACEHOLDER) {
+      if (char === SOFT_BREAK_PLACEHOLDER) {
+        // The soft break takes the place of the space.
+        resultText.push(char);
+        resultMeta.push(characterMeta[spaceIndex]);
+        spaceIndex = -1;
+        continue;
+      }
+      resultText.push(' ');
+      resultMeta.push(characterMeta[spaceIndex]);
     }
+    spaceIndex = -1;
+    resultText.push(char);
+    resultMeta.push(characterMeta[i]);
   }
+  return {text: resultText.join(''), characterMeta: resultMeta};
+}
+
+// Split text into lines, ignoring a line break at the very end the way
+// browsers do in `<pre>`.
+function splitLines(blockText: BlockText): Array<BlockText> {
+  let {text, characterMeta} = blockText;
+  if (text.length > 1 && text.charAt(text.length - 1) === '\n') {
+    text = text.slice(0, -1);
+  }
+  let lines = [];
+  let start = 0;
+  text.split('\n').forEach((line) => {
+    lines.push({
+      text: line,
+      characterMeta: characterMeta.slice(start, start + line.length),
+    });
+    start += line.length + 1;
+  });
+  return lines;
 }
 
-function concatFragments(fragments: Array<TextFragment>): TextFragment {
-  let text = '';
-  let characterMeta: CharacterMetaSeq = Seq();
+function concatFragments(fragments: Array<TextFragment>): BlockText {
+  let characterMeta = [];
+  let hasPreserved = fragments.some((textFragment) => textFragment.preserveWhiteSpace);
+  let preserved = hasPreserved ? [] : null;
   fragments.forEach((textFragment: TextFragment) => {
-    text = text + textFragment.text;
-    characterMeta = characterMeta.concat(textFragment.characterMeta);
+    textFragment.characterMeta.forEach((charMetadata) => {
+      characterMeta.push(charMetadata);
+    });
+    if (preserved) {
+      for (let i = 0; i < textFragment.text.length; i++) {
+        preserved.push(Boolean(textFragment.preserveWhiteSpace));
+      }
+    }
   });
-  return {text, characterMeta};
+  let text = fragments.map((textFragment) => textFragment.text).join('');
+  return {text, characterMeta, preserved};
 }
 
 
@@ -481,6 +1967,90 @@ function addStyleFromTagName(styleSet: StyleSet, tagName: string, elementStyles?
   }
 }
 
+function normalizeDynamicStyleValue(property: DynamicStyleProperty, value: string): ?string {
+  switch (property) {
+    case 'color':
+    case 'background-color': {
+      return normalizeColor(value);
+    }
+    case 'font-family': {
+      // Compare family names without quotes or spacing differences.
+      return value.split(',')
+        .map((family) => family.trim().replace(/^(["'])(.*)\1$/, '$2'))
+        .filter(Boolean)
+        .join(', ') || null;
+    }
+    default: {
+      return value.trim().toLowerCase() || null;
+    }
+  }
+}
+
+function getFontSize(size: ?string): ?string {
+  if (!size) {
+    return null;
+  }
+  let match = /^\s*([+-]?)(\d+)/.exec(size);
+  if (!match) {
+    return null;
+  }
+  let number = parseInt(match[2], 10);
+  // Relative sizes are relative to the default of 3.
+  if (match[1] === '+') {
+    number = 3 + number;
+  } else if (match[1] === '-') {
+    number = 3 - number;
+  }
+  return FONT_SIZES[Math.min(Math.max(number, 1), 7) - 1];
+}
+
+function normalizeStyle(str: string): string {
+  return str.replace(/ /g, '').replace(/;/g, '');
+}
+
+// Custom rules replace the default rule for the same property; `false`
+// removes a rule.
+function getBlockTypeRules(defaults: BlockTypes, overrides: ?BlockTypes): Array<BlockTypeRule> {
+  let blockTypes = {...defaults, ...overrides};
+  let rules = [];
+  Object.keys(blockTypes).forEach((selector) => {
+    let type = blockTypes[selector];
+    if (type) {
+      rules.push({selector: parseSelector(selector), type, index: rules.length});
+    }
+  });
+  // As in CSS, more specific selectors win, then later ones.
+  rules.sort((a, b) => (b.selector.specificity - a.selector.specificity) || (b.index - a.index));
+  return rules.map(({selector, type}) => ({selector, type}));
+}
+
+function getCssStyleRules(overrides: ?CssStyleRules): {[property: string]: CssStyleRule} {
+  let rules = {...CSS_STYLE_RULES, ...overrides};
+  Object.keys(rules).forEach((property) => {
+    if (!rules[property]) {
+      delete rules[property];
+    }
+  });
+  return rules;
+}
+
+function applyCssStyleRuleResult(styleSet: StyleSet, result: CssStyleRuleResult): StyleSet {
+  if (typeof result === 'string' || Array.isArray(result)) {
+    return styleSet.union(toArray(result));
+  }
+  if (result.remove != null) {
+    styleSet = styleSet.subtract(toArray(result.remove));
+  }
+  if (result.add != null) {
+    styleSet = styleSet.union(toArray(result.add));
+  }
+  return styleSet;
+}
+
+function toArray<T>(value: T | Array<T>): Array<T> {
+  return Array.isArray(value) ? value : [value];
+}
+
 function addStyleFromStyleAttribute(styleSet: StyleSet, styleAttributeValue: string, customCssMapToStyle: CustomCssMapToStyle): StyleSet {
   // Allow custom css styles to be provided
   if (Object.keys(customCssMapToStyle).indexOf(styleAttributeValue) >= 0) {
@@ -490,7 +2060,44 @@ function addStyleFromStyleAttribute(styleSet: StyleSet, styleAttributeValue: str
   return styleSet;
 }
 
+// Import an element along with the warnings for everything that could not be
+// imported and the number of warnings of each type.
+export function stateFromElementWithReport(element: DOMElement, options: Options = {}): ImportReport {
+  let warnings = [];
+  let summary = {element: 0, attribute: 0, style: 0, entity: 0, url: 0, total: 0};
+  let {onWarning} = options;
+  let contentState = stateFromElement(element, {
+    ...options,
+    onWarning: (warning) => {
+      warnings.push(warning);
+      summary[warning.type] += 1;
+      summary.total += 1;
+      if (onWarning) {
+        onWarning(warning);
+      }
+    },
+  });
+  return {contentState, warnings, summary};
+}
+
+// Import the blocks of an element, along with the content state their
+// entities were created in (`options.contentState` with the new entities, if
+// given).
+export function importBlocks(element: DOMElement, options?: Options): ImportedBlocks {
+  let generator = new BlockGenerator(options);
+  let base = findBaseElement(element);
+  let baseHref = base ? base.getAttribute('href') : null;
+  if (baseHref) {
+    generator.baseUrl = resolveUrl(generator.baseUrl || '', baseHref);
+  }
+  let blocks = generator.process(element);
+  return {blocks, contentState: generator.contentState};
+}
+
 export default function stateFromElement(element: DOMElement, options?: Options): ContentState {
-  let blocks = new BlockGenerator(options).process(element);
-  return ContentState.createFromBlockArray(blocks);
+  let {blocks, contentState} = importBlocks(element, options);
+  if (typeof contentState.getEntityMap !== 'function') {
+    return ContentState.createFromBlockArray(blocks);
+  }
+  return ContentState.createFromBlockArray(blocks, contentState.getEntityMap());
 }
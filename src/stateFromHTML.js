@@ -0,0 +1,20 @@
+/* @flow */
+
+import {parseDocument} from './lib/parseHTML';
+import resolveUrl from './lib/resolveUrl';
+import stateFromElement from './stateFromElement';
+
+import type {ContentState} from 'draft-js';
+import type {Options} from './stateFromElement';
+
+export default function stateFromHTML(html: string, options: Options = {}): ContentState {
+  let {head, body} = parseDocument(html);
+  // A `<base>` in the body is found by `stateFromElement`, but one in the head
+  // has to be passed on.
+  let base = head.childNodes.find((node) => node.nodeName === 'base' && node.getAttribute('href'));
+  if (base != null) {
+    let baseUrl = resolveUrl(options.baseUrl || '', base.getAttribute('href'));
+    options = {...options, baseUrl};
+  }
+  return stateFromElement(body, options);
+}
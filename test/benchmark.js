@@ -0,0 +1,68 @@
+/* @flow */
+
+// Large documents for checking that importing takes time linear in the size
+// of the input. Run with `node -r babel-core/register test/benchmark.js` to
+// print import times; `src/__tests__/benchmark-test.js` checks them.
+
+import stateFromHTML from '../src/stateFromHTML';
+
+const LOREM = 'Lorem ipsum dolor sit amet, consectetur adipiscing elit, sed ' +
+  'do eiusmod tempor incididunt ut labore et dolore magna aliqua.';
+
+function repeat(count: number, fn: (i: number) => string): string {
+  let parts = [];
+  for (let i = 0; i < count; i++) {
+    parts.push(fn(i));
+  }
+  return parts.join('');
+}
+
+// An article of many paragraphs with inline formatting and links, about
+// 200 KB at the default size.
+export function largeDocument(size: number = 1000): string {
+  return repeat(size, (i) => (
+    `<h2>Section ${i}</h2><p>${LOREM} <b>Bold ${i}</b> and <i>italic <a href="/p/${i}">link</a></i>.</p>` +
+    '<ul><li>One</li><li>Two</li></ul>'
+  ));
+}
+
+// Lists and quotes nested inside each other.
+export function deeplyNestedDocument(size: number = 300): string {
+  let open = repeat(size, (i) => (
+    (i % 2) ? `<blockquote>Quote ${i}<div>` : `<ul><li>Item ${i} <span><b>`
+  ));
+  let close = repeat(size, (i) => (
+    ((size - i - 1) % 2) ? '</div></blockquote>' : '</b></span></li></ul>'
+  ));
+  return open + LOREM + close;
+}
+
+// One long paragraph of indented source, as pretty-printed or exported HTML
+// often is, where most of the text is whitespace to be collapsed.
+export function whitespaceHeavyDocument(size: number = 3000): string {
+  let indent = '\n' + ' '.repeat(40);
+  return '<p>' + repeat(size, (i) => (
+    `${indent}<span>${indent}word ${i}${indent}</span>${indent}\t\t<br>`
+  )) + '</p>';
+}
+
+export const BENCHMARK_DOCUMENTS = {
+  large: largeDocument,
+  deeplyNested: deeplyNestedDocument,
+  whitespaceHeavy: whitespaceHeavyDocument,
+};
+
+// Import a document and return the time it took, in milliseconds.
+export function timeImport(html: string): number {
+  let start = Date.now();
+  stateFromHTML(html);
+  return Date.now() - start;
+}
+
+if (require.main === module) {
+  Object.keys(BENCHMARK_DOCUMENTS).forEach((name) => {
+    let html = BENCHMARK_DOCUMENTS[name]();
+    let time = timeImport(html);
+    console.log(`${name}: ${Math.round(html.length / 1024)} KB in ${time} ms`);
+  });
+}